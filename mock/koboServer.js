@@ -0,0 +1,91 @@
+// Local stand-in for the KoboToolbox v2 data API.
+// Replays public/data_cleaned.json at /api/v2/assets/<uid>/data/ with the same
+// paging (limit/start/next) and _submission_time query the real API supports.
+//
+//   npm run mock:kobo
+//
+// MOCK_KOBO_PORT   port to listen on (default 8000)
+// MOCK_KOBO_TOKEN  when set, requests must send "Authorization: Token <value>"
+// MOCK_KOBO_DRIP   when set, releases one more submission every N seconds,
+//                  oldest first, to exercise incremental syncs
+
+const http = require("http");
+const path = require("path");
+const fs = require("fs");
+
+const PORT = Number(process.env.MOCK_KOBO_PORT) || 8000;
+const TOKEN = process.env.MOCK_KOBO_TOKEN || "";
+const DRIP_SECONDS = Number(process.env.MOCK_KOBO_DRIP) || 0;
+const DATA_FILE = path.join(__dirname, "..", "public", "data_cleaned.json");
+
+const submissions = JSON.parse(fs.readFileSync(DATA_FILE, "utf8")).sort((a, b) =>
+  String(a._submission_time).localeCompare(String(b._submission_time))
+);
+
+let released = DRIP_SECONDS > 0 ? 0 : submissions.length;
+if (DRIP_SECONDS > 0) {
+  setInterval(() => {
+    released = Math.min(released + 1, submissions.length);
+  }, DRIP_SECONDS * 1000).unref();
+}
+
+const sendJson = (res, status, body) => {
+  res.writeHead(status, {
+    "Content-Type": "application/json",
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Headers": "Authorization",
+  });
+  res.end(JSON.stringify(body));
+};
+
+// Supports the {"_submission_time": {"$gt": "..."}} filter used by the dashboard
+const matchesQuery = (row, query) => {
+  const filter = query && query._submission_time;
+  if (!filter) return true;
+  const time = String(row._submission_time);
+  if (filter.$gt && !(time > filter.$gt)) return false;
+  if (filter.$gte && !(time >= filter.$gte)) return false;
+  return true;
+};
+
+const server = http.createServer((req, res) => {
+  if (req.method === "OPTIONS") return sendJson(res, 204, {});
+
+  const url = new URL(req.url, `http://${req.headers.host}`);
+  const match = url.pathname.match(/^\/api\/v2\/assets\/([^/]+)\/data\/?$/);
+  if (req.method !== "GET" || !match) {
+    return sendJson(res, 404, { detail: "Not found." });
+  }
+  if (TOKEN && req.headers.authorization !== `Token ${TOKEN}`) {
+    return sendJson(res, 401, { detail: "Invalid token." });
+  }
+
+  let query = null;
+  try {
+    query = JSON.parse(url.searchParams.get("query") || "null");
+  } catch (e) {
+    return sendJson(res, 400, { detail: "Invalid query." });
+  }
+
+  const limit = Math.max(1, Number(url.searchParams.get("limit")) || 100);
+  const start = Math.max(0, Number(url.searchParams.get("start")) || 0);
+  const matching = submissions.slice(0, released).filter((row) => matchesQuery(row, query));
+
+  let next = null;
+  if (start + limit < matching.length) {
+    const nextUrl = new URL(url);
+    nextUrl.searchParams.set("start", String(start + limit));
+    next = nextUrl.toString();
+  }
+
+  return sendJson(res, 200, {
+    count: matching.length,
+    next,
+    previous: null,
+    results: matching.slice(start, start + limit),
+  });
+});
+
+server.listen(PORT, () => {
+  console.log(`Mock Kobo API on http://localhost:${PORT}/api/v2/assets/mock/data/`);
+});
@@ -1,5 +1,5 @@
-import React, { useEffect, useState, useMemo } from "react";
-import { MapContainer, TileLayer, Marker, Tooltip as LeafletTooltip } from "react-leaflet";
+import React, { useEffect, useState, useMemo, useCallback, useRef } from "react";
+import { MapContainer, TileLayer, Marker, Circle, Tooltip as LeafletTooltip } from "react-leaflet";
 import {
   PieChart,
   Pie,
@@ -11,18 +11,108 @@ import {
   XAxis,
   YAxis,
   CartesianGrid,
-  Label,
 } from "recharts";
 
-import L from "leaflet";
+import MarkerClusterGroup from "react-leaflet-cluster";
 import "leaflet/dist/leaflet.css";
+import "react-leaflet-cluster/dist/assets/MarkerCluster.css";
 
-L.Icon.Default.mergeOptions({
-  iconRetinaUrl:
-    "https://unpkg.com/leaflet@1.7.1/dist/images/marker-icon-2x.png",
-  iconUrl: "https://unpkg.com/leaflet@1.7.1/dist/images/marker-icon.png",
-  shadowUrl: "https://unpkg.com/leaflet@1.7.1/dist/images/marker-shadow.png",
-});
+import { normalizeRecords, PROBLEM_COLUMNS, REASON_COLUMNS } from "./normalize";
+import {
+  categorize,
+  categorizeLocation,
+  categorizeSolution,
+  categoryNames,
+  DEFAULT_CATEGORY_RULES,
+  loadCategoryRules,
+  nextRulesVersion,
+  saveCategoryRules,
+  wasteTypeToColumnMap,
+} from "./categories";
+import CategoryRulesEditor from "./CategoryRulesEditor";
+import ImportPanel from "./ImportPanel";
+import { createDataSource, latestSubmissionTime, mergeRecords } from "./dataSources";
+import { loadSnapshot, saveSnapshot, useOnlineStatus } from "./offlineCache";
+import SyncStatus from "./SyncStatus";
+import DateRangeFilter from "./DateRangeFilter";
+import SubmissionsTimeline from "./SubmissionsTimeline";
+import { calculateDailySubmissions, isWithinDateRange } from "./dates";
+import VolunteerPanel from "./VolunteerPanel";
+import { assignVolunteerColors, calculateVolunteerStats, volunteerName } from "./volunteers";
+import { createClusterIconFactory, getPinIcon } from "./markerIcons";
+import MarkerLegend from "./MarkerLegend";
+import {
+  buildLegend,
+  FIXED_STYLERS,
+  UNKNOWN_CATEGORY,
+  UNKNOWN_COLOR,
+} from "./markerStyles";
+import MapControls from "./MapControls";
+import HeatmapLayer from "./HeatmapLayer";
+import { buildHeatPoints } from "./heatmap";
+import WardChoropleth from "./WardChoropleth";
+import { calculateWardMetrics, loadWardBoundaries, NO_WARD_BOUNDARIES } from "./wardBoundaries";
+import WardValidationPanel from "./WardValidationPanel";
+import DataTable from "./DataTable";
+import { DEFAULT_TABLE_SORT, searchRows, sortRows } from "./gvpTable";
+import GvpDetailDrawer from "./GvpDetailDrawer";
+import FilterSidebar from "./FilterSidebar";
+import CrossFilterChips from "./CrossFilterChips";
+import { buildUrlSearch, parseUrlState } from "./urlState";
+import {
+  EMPTY_SELECTION,
+  keepVisibleSelection,
+  selectionModifiers,
+  updateSelection,
+} from "./selection";
+import {
+  countFilterOptions,
+  isCrossFiltered,
+  matchesAttributeFilter,
+  matchesCrossFilters,
+  toggleCrossFilter,
+} from "./attributeFilters";
+import InteractionLayer from "./InteractionLayer";
+import InterviewDistancePanel from "./InterviewDistancePanel";
+import {
+  interviewDistanceMetres,
+  isFarInterview,
+  matchesInterviewDistanceFilter,
+} from "./interactions";
+import {
+  acceptWardCorrection,
+  activeWardCorrections,
+  applyWardCorrections,
+  findWardMismatches,
+  loadWardCorrections,
+  saveWardCorrections,
+  undoWardCorrection,
+} from "./wardValidation";
+import {
+  DEFAULT_PRECISION_THRESHOLD_METRES,
+  describePrecision,
+  isUncertainLocation,
+  locationPrecision,
+} from "./gpsPrecision";
+import QaFilterPanel from "./QaFilterPanel";
+import DuplicateReviewPanel from "./DuplicateReviewPanel";
+import {
+  DEFAULT_DUPLICATE_SETTINGS,
+  dismissGroup,
+  findDuplicateGroups,
+  loadDuplicateReviews,
+  mergeGroup,
+  saveDuplicateReviews,
+  undoMerge,
+} from "./duplicates";
+import {
+  DEFAULT_AUDIT_SETTINGS,
+  auditTiming,
+  isFlagged,
+  matchesQaFilter,
+} from "./timingAudit";
+import { useI18n } from "./LanguageContext";
+import LanguageSwitcher from "./LanguageSwitcher";
 
 // Waste Weight Function
 const getWasteWeight = (quantity) => {
@@ -40,18 +130,6 @@ const getWasteWeight = (quantity) => {
   }
 };
 
-// Waste Type Map
-const wasteTypeToColumnMap = {
-  "Organic & Wet": "Organic and Wet Waste",
-  "Plastic Paper": "Plastic Paper Glass Waste",
-  "Sanitary & Hazardous": "Sanitary and Hazardous Waste",
-  "Battery & Bulb": "Battery and Bulb Waste",
-  "Construction & Demolition": "Construction and Demolition Waste",
-  Clothes: "Clothes Waste",
-  Carcasses: "Carcasses Waste",
-  Others: "Others",
-};
-
 // Calculate Pie Data
 const calculateWasteTypeCounts = (data) => {
   const counts = {};
@@ -59,7 +137,7 @@ const calculateWasteTypeCounts = (data) => {
 
   data.forEach((row) => {
     Object.entries(wasteTypeToColumnMap).forEach(([type, column]) => {
-      if (row[column] === 1) counts[type] += 1;
+      if (row.wasteTypes[column]) counts[type] += 1;
     });
   });
 
@@ -71,20 +149,15 @@ const calculateWasteTypeCounts = (data) => {
 // Calculate Pie Data for single row
 const calculatePieForRow = (row) => {
   return Object.entries(wasteTypeToColumnMap)
-    .filter(([type, column]) => row[column] === 1)
+    .filter(([type, column]) => row.wasteTypes[column])
     .map(([type]) => ({ name: type, value: 1 }));
 };
 
 // Custom Labels for Pie
-const renderCustomizedLabel = ({
-  cx,
-  cy,
-  midAngle,
-  outerRadius,
-  fill,
-  name,
-  percent,
-}) => {
+const renderCustomizedLabel = (
+  { cx, cy, midAngle, outerRadius, fill, name, percent },
+  { formatPercent, valueLabel }
+) => {
   const RADIAN = Math.PI / 180;
   const radius = outerRadius + 30;
   const x = cx + radius * Math.cos(-midAngle * RADIAN);
@@ -92,7 +165,7 @@ const renderCustomizedLabel = ({
 
   const textAnchor = x > cx ? "start" : "end";
   const labelX = x + (x > cx ? 5 : -5);
-  const percentage = (percent * 100).toFixed(0);
+  const percentage = Math.round(percent * 100);
 
   if (percentage < 3) return null;
 
@@ -121,7 +194,7 @@ const renderCustomizedLabel = ({
         dominantBaseline="central"
         style={{ fontSize: "12px", fontWeight: "bold" }}
       >
-        {`${percentage}%`}
+        {formatPercent(percentage, 0)}
       </text>
       <text
         x={labelX}
@@ -131,298 +204,12 @@ const renderCustomizedLabel = ({
         dominantBaseline="central"
         style={{ fontSize: "11px" }}
       >
-        {name}
+        {valueLabel(name)}
       </text>
     </g>
   );
 };
 
-// ✅ Tooltip Function (Full Measure)
-const getGarbagePointInfo = (row) => {
-  const LB = "\n";
-
-  // ===============================
-  // SECTION 1: 🟢 GVP Information
-  // ===============================
-  const Ward = row["GVP Ward"] ? `𝗪𝗮𝗿𝗱: ${row["GVP Ward"]}${LB}` : "";
-
-  const NearestLocationRaw = row["Nearest Location"];
-  const NearestLocation = NearestLocationRaw
-    ? `𝗡𝗲𝗮𝗿𝗲𝘀𝘁 𝗟𝗼𝗰𝗮𝘁𝗶𝗼𝗻: ${NearestLocationRaw.replace(/\r|\n/g, " ").trim()}${LB}`
-    : "";
-
-  const Comments = row["Comments On GVP"]
-    ? `𝗖𝗼𝗺𝗺𝗲𝗻𝘁𝘀: ${row["Comments On GVP"]}${LB}`
-    : "";
-
-  const wasteTypesMap = {
-    "Organic and Wet Waste": "• Organic and Wet Waste",
-    "Plastic Paper Glass Waste": "• Plastic Paper Glass Waste",
-    "Sanitary and Hazardous Waste": "• Sanitary and Hazardous Waste",
-    "Battery and Bulb Waste": "• Battery and Bulb Waste",
-    "Construction and Demolition Waste": "• Construction and Demolition Waste",
-    "Clothes Waste": "• Clothes Waste",
-    "Carcasses Waste": "• Carcasses Waste",
-    Others: "• Others",
-  };
-
-  const WasteTypes = Object.keys(wasteTypesMap)
-    .filter((k) => row[k] === 1 || row[k] === true)
-    .map((k) => wasteTypesMap[k])
-    .join(LB);
-
-  const OtherWaste = row["Other Waste Found"]
-    ? `• ${row["Other Waste Found"]}`
-    : "";
-
-  const WasteTypeSection =
-    WasteTypes || OtherWaste
-      ? `𝗪𝗮𝘀𝘁𝗲 𝗧𝘆𝗽𝗲:${LB}${WasteTypes}${WasteTypes && OtherWaste ? LB : ""}${OtherWaste}${LB}`
-      : "";
-
-  const WasteQty = row["Waste Quantity Numeric"]
-    ? `𝗪𝗮𝘀𝘁𝗲 𝗩𝗼𝗹𝘂𝗺𝗲: ${row["Waste Quantity Numeric"]}${LB}`
-    : "";
-
-  const Setting = row["In_what_setting_is_the_GVP_pre"]
-    ? `𝗜𝗻 𝗪𝗵𝗮𝘁 𝗦𝗲𝘁𝘁𝗶𝗻𝗴 𝗶𝘀 𝗚𝗩𝗣 𝗣𝗿𝗲𝘀𝗲𝗻𝘁: ${row["In_what_setting_is_the_GVP_pre"]}${LB}`
-    : "";
-
-  const Area = row["Kindly_specify_the_area"]
-    ? `𝗔𝗿𝗲𝗮: ${row["Kindly_specify_the_area"]}${LB}`
-    : "";
-
-  const Section_GVP_Body =
-    Ward + NearestLocation + Comments + WasteTypeSection + WasteQty + Setting + Area;
-
-  const Section_GVP = Section_GVP_Body
-    ? `🟢 𝗚𝗩𝗣 𝗜𝗻𝗳𝗼𝗿𝗺𝗮𝘁𝗶𝗼𝗻${LB}${Section_GVP_Body}`
-    : "";
-
-  // ===================================
-  // SECTION 2: 🔵 Interaction Information
-  // ===================================
-  const CivicSession = row["Civic Authority Conduct Any Session"]
-    ? `𝗛𝗮𝘀 𝗧𝗵𝗲 𝗖𝗶𝘃𝗶𝗰 𝗔𝘂𝘁𝗵𝗼𝗿𝗶𝘁𝘆 𝗖𝗼𝗻𝗱𝘂𝗰𝘁𝗲𝗱 𝗔𝗻𝘆 𝗔𝘄𝗮𝗿𝗲𝗻𝗲𝘀𝘀 𝗦𝗲𝘀𝘀𝗶𝗼𝗻: ${row["Civic Authority Conduct Any Session"]}${LB}`
-    : "";
-
-  const Complained = row["Have Interviewees Complained to Authority"]
-    ? `𝗛𝗮𝘃𝗲 𝗜𝗻𝘁𝗲𝗿𝘃𝗶𝗲𝘄𝗲𝗲𝘀 𝗖𝗼𝗺𝗽𝗹𝗮𝗶𝗻𝗲𝗱 𝘁𝗼 𝗔𝘂𝘁𝗵𝗼𝗿𝗶𝘁𝗶𝗲𝘀: ${row["Have Interviewees Complained to Authority"]}${LB}`
-    : "";
-
-  const Experience = row["If Yes How Was Your Experience "]
-    ? `𝗜𝗳 𝗬𝗲𝘀 𝗛𝗼𝘄 𝗪𝗮𝘀 𝗬𝗼𝘂𝗿 𝗘𝘅𝗽𝗲𝗿𝗶𝗲𝗻𝗰𝗲: ${row["If Yes How Was Your Experience "]}${LB}`
-    : "";
-
-  const NoticeFreq = row["Notice Frequency"]
-    ? `𝗛𝗼𝘄 𝗢𝗳𝘁𝗲𝗻 𝗶𝘀 𝗪𝗮𝘀𝘁𝗲 𝗦𝗽𝗼𝘁𝘁𝗲𝗱: ${row["Notice Frequency"]}${LB}`
-    : "";
-
-  const Solution = row["Solution Suggested by Interviewee"]
-    ? `𝗦𝗼𝗹𝘂𝘁𝗶𝗼𝗻 𝗦𝘂𝗴𝗴𝗲𝘀𝘁𝗲𝗱 𝗕𝘆 𝗜𝗻𝘁𝗲𝗿𝘃𝗶𝗲𝘄𝗲𝗲: ${row["Solution Suggested by Interviewee"]}${LB}`
-    : "";
-
-  const DisposeWhere = row["Where Interviewee Dispose Their Waste"]
-    ? `𝗪𝗵𝗲𝗿𝗲 𝗜𝗻𝘁𝗲𝗿𝘃𝗶𝗲𝘄𝗲𝗲 𝗗𝗶𝘀𝗽𝗼𝘀𝗲𝘀 𝗧𝗵𝗲𝗶𝗿 𝗪𝗮𝘀𝘁𝗲: ${row["Where Interviewee Dispose Their Waste"]}${LB}`
-    : "";
-
-  const WhoDispose = row["Who Dispose"]
-    ? `𝗪𝗵𝗼 𝗗𝗶𝘀𝗽𝗼𝘀𝗲𝘀 𝗧𝗵𝗲 𝗪𝗮𝘀𝘁𝗲: ${row["Who Dispose"]}${LB}`
-    : "";
-
-  const GenderWomen = row["No of Women"];
-  const GenderMen = row["No of Men"];
-  const GenderBlock =
-    GenderWomen || GenderMen
-      ? `𝗚𝗲𝗻𝗱𝗲𝗿:${LB}${
-          GenderWomen ? `• Women: ${GenderWomen}${LB}` : ""
-        }${GenderMen ? `• Men: ${GenderMen}${LB}` : ""}`
-      : "";
-
-  const wasteReasonsMap = {
-    "No Regular Collection Vehicle": "• No Regular Collection Vehicle",
-    "Random People Throwing Garbage": "• Random People Throwing Garbage",
-    "Due To User Fee": "• Due To User Fee",
-    "Mismatch of Vehicle Time": "• Mismatch of Vehicle Time",
-    "Due to Narrow Road": "• Due to Narrow Road",
-    "Because of Market and Street Vendors": "• Because of Market and Street Vendors",
-  };
-
-  const WasteReasons = Object.keys(wasteReasonsMap)
-    .filter((k) => row[k] === 1 || row[k] === true)
-    .map((k) => wasteReasonsMap[k])
-    .join(LB);
-
-  const WasteReasonsSection = WasteReasons
-    ? `𝗥𝗲𝗮𝘀𝗼𝗻𝘀 𝗳𝗼𝗿 𝗪𝗮𝘀𝘁𝗲 𝗔𝗰𝗰𝘂𝗺𝘂𝗹𝗮𝘁𝗶𝗼𝗻:${LB}${WasteReasons}${LB}`
-    : "";
-
-  const WasteClear = row["Does Waste Clear Off"]
-    ? `𝗗𝗼𝗲𝘀 𝗪𝗮𝘀𝘁𝗲 𝗚𝗲𝘁 𝗖𝗹𝗲𝗮𝗿𝗲𝗱 𝗢𝗳𝗳: ${row["Does Waste Clear Off"]}${LB}`
-    : "";
-
-  const WasteClearWhen = row["When Waste Cleared Off"]
-    ? `𝗪𝗵𝗲𝗻 𝗪𝗮𝘀𝘁𝗲 𝗖𝗹𝗲𝗮𝗿𝗲𝗱 𝗢𝗳𝗳: ${row["When Waste Cleared Off"]}${LB}`
-    : "";
-
-  const problemsMap = {
-    "Bad Odour": "• Bad Odour",
-    Mosquitos: "• Mosquitos",
-    "Stray Animals": "• Stray Animals",
-    Congestion: "• Congestion",
-    Other: "• Other",
-  };
-
-  const ProblemsFlags = Object.keys(problemsMap)
-    .filter((k) => row[k] === 1 || row[k] === true)
-    .map((k) => problemsMap[k])
-    .join(LB);
-
-  const OtherProblemText = row["Other Problem Face"];
-  const ProblemsCombined =
-    ProblemsFlags && OtherProblemText
-      ? ProblemsFlags + LB + `• ${OtherProblemText}`
-      : ProblemsFlags || (OtherProblemText ? `• ${OtherProblemText}` : "");
-
-  const ProblemsSection = ProblemsCombined
-    ? `𝗣𝗿𝗼𝗯𝗹𝗲𝗺𝘀 𝗙𝗮𝗰𝗲𝗱:${LB}${ProblemsCombined}${LB}`
-    : "";
-
-  const Section_Interaction_Body =
-    CivicSession +
-    Complained +
-    Experience +
-    NoticeFreq +
-    Solution +
-    DisposeWhere +
-    WhoDispose +
-    GenderBlock +
-    WasteReasonsSection +
-    WasteClear +
-    WasteClearWhen +
-    ProblemsSection;
-
-  const Section_Interaction = Section_Interaction_Body
-    ? `🔵 𝗜𝗻𝗳𝗼𝗿𝗺𝗮𝘁𝗶𝗼𝗻 𝗦𝗵𝗮𝗿𝗲𝗱 𝗯𝘆 𝗖𝗶𝘁𝗶𝗭𝗲𝗻𝘀${LB}${Section_Interaction_Body}`
-    : "";
-
-  // Final return
-  return [Section_GVP, Section_Interaction].filter(Boolean).join(LB + LB);
-};
-
-// DataTable Component
-const DataTable = ({ data, onRowClick, selectedRowIndex }) => {
-  const tableData = [...data.filter((row) => row["Type_of_Form"] === "form_for_gvp")].sort((a, b) => {
-    const wardA = a["GVP Ward"] ? Number(a["GVP Ward"]) : Infinity;
-    const wardB = b["GVP Ward"] ? Number(b["GVP Ward"]) : Infinity;
-    return wardA - wardB;
-  });
-
-  const rowColors = [
-    "#FFEBEE",
-    "#FFF3E0",
-    "#FFF9C4",
-    "#E8F5E9",
-    "#E3F2FD",
-    "#F3E5F5",
-    "#ECEFF1",
-    "#FFFDE7",
-  ];
-
-  if (tableData.length === 0) {
-    return (
-      <div className="bg-white p-6 rounded-lg shadow-lg text-center mt-6">
-        <p className="text-gray-500 italic">
-          No Garbage Points found for the current filter.
-        </p>
-      </div>
-    );
-  }
-
-  return (
-    <div className="bg-white p-4 rounded-lg shadow-lg border border-gray-200 w-full h-full">
-      <h2 className="text-xl font-bold text-gray-800 mb-4">
-        Photos and Videos of Garbage Points
-      </h2>
-      <div className="overflow-y-auto h-[420px]">
-        <table className="min-w-full divide-y divide-gray-200 table-fixed">
-          <thead className="bg-gray-50">
-            <tr>
-              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">
-                GVP Ward
-              </th>
-              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">
-                Nearest Location
-              </th>
-              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">
-                Photo URL
-              </th>
-              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">
-                Video URL
-              </th>
-            </tr>
-          </thead>
-          <tbody>
-            {tableData.slice(0, 50).map((row, index) => {
-              const isSelected = selectedRowIndex === index;
-              return (
-                <tr
-                  key={index}
-                  className="hover:bg-yellow-50/50 transition duration-150 cursor-pointer"
-                  style={{
-                    height: "40px",
-                    backgroundColor: isSelected
-                      ? "#FFD54F"
-                      : rowColors[index % rowColors.length],
-                  }}
-                  onClick={() => onRowClick(index)}
-                >
-                  <td className="px-4 text-sm font-medium text-gray-900">
-                    {row["GVP Ward"] || "N/A"}
-                  </td>
-                  <td className="px-4 text-sm text-gray-700">
-                    {row["Nearest Location"] || "N/A"}
-                  </td>
-                  <td className="px-4 text-sm text-blue-600 hover:text-blue-800">
-                    {row["Photo URL"] ? (
-                      <a
-                        href={row["Photo URL"]}
-                        target="_blank"
-                        rel="noopener noreferrer"
-                        className="underline"
-                        onClick={(e) => e.stopPropagation()}
-                      >
-                        View Photo
-                      </a>
-                    ) : (
-                      "N/A"
-                    )}
-                  </td>
-                  <td className="px-4 text-sm text-blue-600 hover:text-blue-800">
-                    {row["Video URL"] ? (
-                      <a
-                        href={row["Video URL"]}
-                        target="_blank"
-                        rel="noopener noreferrer"
-                        className="underline"
-                        onClick={(e) => e.stopPropagation()}
-                      >
-                        View Video
-                      </a>
-                    ) : (
-                      "N/A"
-                    )}
-                  </td>
-                </tr>
-              );
-            })}
-          </tbody>
-        </table>
-      </div>
-    </div>
-  );
-};
-
 // Colors for pie chart
 const COLORS = [
   "#0088FE",
@@ -435,12 +222,12 @@ const COLORS = [
   "#808080",
 ];
 
-// Ward-specific color names for map markers (using predefined leaflet colors)
+// Ward-specific colors for map markers and charts
 const WARD_COLOR_MAP = {
-  "12": "red",
-  "13": "green",
-  "14": "blue",
-  "15": "orange",
+  "12": "#CB2B3E",
+  "13": "#2AAD27",
+  "14": "#2A81CB",
+  "15": "#CB8427",
 };
 
 // Colors for bar charts
@@ -452,11 +239,15 @@ const BAR_COLORS = [
   "#A020F0",
 ];
 
+// Chart color for a ward, matching its marker color where one is defined
+const getWardColor = (ward) =>
+  WARD_COLOR_MAP[ward] || BAR_COLORS[Number(ward) % BAR_COLORS.length] || BAR_COLORS[0];
+
 // Card size classes
 const CARD_SIZE_CLASSES = "w-[250px] h-32";
 
 // Custom label for BarCharts (moved outside)
-const renderCustomBarLabel = ({ x, y, width, value, height }) => {
+const renderCustomBarLabel = ({ x, y, width, value, height }, { formatPercent }) => {
   return (
     <text
       x={x + width + 20}
@@ -466,29 +257,27 @@ const renderCustomBarLabel = ({ x, y, width, value, height }) => {
       dominantBaseline="middle"
       style={{ fontSize: "14px", fontWeight: "bold" }}
     >
-      {`${value.toFixed(1)}%`}
+      {formatPercent(value)}
     </text>
   );
 };
 
 // Calculate Problems Data with Normalization
 const calculateProblemsData = (data) => {
-  const problemsCount = {
-    "Bad Odour": 0,
-    Mosquitos: 0,
-    "Stray Animals": 0,
-    Congestion: 0,
-    Other: 0,
-  };
+  const problemsCount = PROBLEM_COLUMNS.reduce((acc, problem) => {
+    acc[problem] = 0;
+    return acc;
+  }, {});
   data.forEach((row) => {
-    Object.keys(problemsCount).forEach((problem) => {
-      if (row[problem] === 1) problemsCount[problem] += 1;
+    PROBLEM_COLUMNS.forEach((problem) => {
+      if (row.problems[problem]) problemsCount[problem] += 1;
     });
   });
   const totalCount = Object.values(problemsCount).reduce((sum, count) => sum + count, 0);
   return Object.entries(problemsCount)
     .map(([problem, count]) => ({
       name: problem,
+      count,
       value: totalCount > 0 ? (count / totalCount) * 100 : 0,
     }))
     .sort((a, b) => b.value - a.value);
@@ -496,165 +285,44 @@ const calculateProblemsData = (data) => {
 
 // Calculate Reasons Data with Normalization
 const calculateReasonsData = (data) => {
-  const reasonsCount = {
-    "No Regular Collection Vehicle": 0,
-    "Random People Throwing Garbage": 0,
-    "Due To User Fee": 0,
-    "Mismatch of Vehicle Time": 0,
-    "Due to Narrow Road": 0,
-    "Because of Market and Street Vendors": 0,
-  };
+  const reasonsCount = REASON_COLUMNS.reduce((acc, reason) => {
+    acc[reason] = 0;
+    return acc;
+  }, {});
   data.forEach((row) => {
-    Object.keys(reasonsCount).forEach((reason) => {
-      if (row[reason] === 1 || row[reason] === true) reasonsCount[reason] += 1;
+    REASON_COLUMNS.forEach((reason) => {
+      if (row.reasons[reason]) reasonsCount[reason] += 1;
     });
   });
   const totalCount = Object.values(reasonsCount).reduce((sum, count) => sum + count, 0);
   return Object.entries(reasonsCount)
     .map(([reason, count]) => ({
       name: reason,
+      count,
       value: totalCount > 0 ? (count / totalCount) * 100 : 0,
     }))
     .sort((a, b) => b.value - a.value);
 };
 
-// Category Map for Who Dispose
-const categoryMap = [
-  {
-    category: "Households",
-    keywords: [
-      "जवळ पास असलेले सोसायटी",
-      "Banglow wale log aju baju ke",
-      "House hol",
-      "other",
-      "Household",
-      "near by peoples",
-      "House holds",
-      "Nearby Households",
-      "जवळ पास लोकांनी टाकतात आणि बाहेरून येणारे पण",
-      "Household",
-      "Householdss",
-      "Nearby household",
-      "colony people",
-      "Near by houshold",
-      "Nearby Households",
-      "Citizens",
-      "Residental peoples",
-    ],
-  },
-  {
-    category: "Passing Crowd",
-    keywords: [
-      "आजुबाजूला असलेले लोक आणि ऑटो मधून जाणारे लोक पण येते कचरा टाकतात",
-      "कचरा गाडीवरून जाणारे व्यक्ती पण टाकतात आणि सोबत जवळपास राहणारे व्यक्ती पण टाकतात",
-      "जवळ पास चे लोक आणि रस्त्यावरून जाणारे लोक",
-      "पर्यटक आणि बाजूचे स्टॉल वाले कचरे टाकतात",
-      "Tourist",
-      "जवळ पास चे लोक आणि रस्त्यावरून जाणाऱ्या लोक",
-    ],
-  },
-  {
-    category: "Dont Know",
-    keywords: ["माहित नाही"],
-  },
-  {
-    category: "Lahuji Savale Park Ambazari Lake",
-    keywords: ["लहुजी सावळे उद्यान अंबाझरी लेक"],
-  },
-  {
-    category: "Vendors",
-    keywords: [
-      "small stalls",
-      "Market wale log kachra dalte hai",
-      "Vendor",
-      "Street Vendorss ",
-      "Vendors and Households",
-      "Vendorss",
-      "Street Vendors",
-      "Chai wale",
-      "People and households & street vendors",
-      "vendors like fish and vegetables sellers",
-      " Small Stalls",
-      " shop keeper",
-      "Street Vendors",
-      " Street vendor",
-      "Vendorss",
-      " street vendors",
-      "Small stall",
-      "Shops",
-    ],
-  },
-  {
-    category: "Showroom",
-    keywords: ["Showroom"],
-  },
-  {
-    category: "Peoples From Outside",
-    keywords: [
-      "people from outside",
-      "People From Outside",
-      "outside people",
-      "Outside people",
-      "people from Outside",
-      "People from Outside",
-      "People from outside",
-    ],
-  },
-  {
-    category: "Drive-by Dumping",
-    keywords: [
-      "गाडीवरून येणाऱ्या लोक कचरा फेकून जातात",
-      "जाण्या येणाऱ्या गाड्या वरून लोक फेकतात",
-      "बाहेरून येणाऱ्या लोक कचरा टाकुण जाते",
-    ],
-  },
-  {
-    category: "Unknown",
-    keywords: ["N", "Unknownearby HouseHolds"],
-  },
-
-];
-
-function categorize(text) {
-  if (!text || typeof text !== "string" || text.trim() === "" || text === "N/A") {
-    return null;
-  }
-  const lowerText = text.toLowerCase().trim();
-  for (const { category, keywords } of categoryMap) {
-    if (keywords.some((k) => lowerText.includes(k.toLowerCase().trim()))) {
-      return category;
-    }
-  }
-  return "Unknown"; // Default to "Unknown" if no match is found
-}
-
 // Calculate Who Dispose Data with Categorization
-const calculateWhoDisposeData = (data) => {
-  const disposeCount = categoryMap.reduce((acc, { category }) => {
+const calculateWhoDisposeData = (data, rules) => {
+  const disposeCount = categoryNames("whoDispose", rules).reduce((acc, category) => {
     acc[category] = 0;
     return acc;
   }, {});
 
   data.forEach((row) => {
-    const columns = ["Who Dispose1", "Who Dispose2", "Who Dispose3"];
-    columns.forEach((col) => {
-      const disposeValue = row[col];
-      if (disposeValue && disposeValue.trim() !== "" && disposeValue !== "N/A") {
-        const category = categorize(disposeValue);
-        // Increment count even for "Unknown" category
-        if (category) {
-          disposeCount[category] = (disposeCount[category] || 0) + 1;
-        } else {
-          disposeCount["Unknown"] = (disposeCount["Unknown"] || 0) + 1;
-        }
-      }
+    row.whoDisposeParts.forEach((disposeValue) => {
+      // Unmatched answers count as "Unknown"
+      const category = categorize(disposeValue, rules);
+      disposeCount[category] = (disposeCount[category] || 0) + 1;
     });
   });
 
   const allData = Object.entries(disposeCount).map(([name, count]) => ({ name, count }));
   const totalCount = allData.reduce((sum, item) => sum + item.count, 0);
   if (totalCount === 0) {
-    return categoryMap.map(({ category }) => ({ name: category, value: 0 }));
+    return categoryNames("whoDispose", rules).map((category) => ({ name: category, value: 0 }));
   }
   return allData
     .map((item) => ({
@@ -664,73 +332,47 @@ const calculateWhoDisposeData = (data) => {
     .sort((a, b) => b.value - a.value);
 };
 
-// Calculate Location Data with Categorization
-const locationMap = [
-  {
-    category: "Residential Area",
-    keywords: ["residential", "colony", "house", "society"],
-  },
-  {
-    category: "Nallah / Drain",
-    keywords: ["nallah", "drain"],
-  },
-  {
-    category: "Market / Commercial Area",
-    keywords: ["market_place", "market", "bazaar", "shop"],
-  },
-  {
-    category: "Playground / Open Space",
-    keywords: ["playground", "ground", "sports", "field"],
-  },
-  {
-    category: "School / Institution",
-    keywords: ["school", "college", "institution"],
-  },
-  {
-    category: "Open Plot / Vacant Land",
-    keywords: ["open_plot", "vacant", "empty plot"],
-  },
-  {
-    category: "Roadside / Footpath / Public Path",
-    keywords: [
-      "road",
-      "roadside",
-      "road side",
-      "footpath",
-      "corner",
-      "square",
-      "front side",
-      "temple",
-      "collector office",
-      "near sadar",
-      "sem",
-    ],
-  },
-  {
-    category: "Water Body / Lake Area",
-    keywords: ["lake", "water", "pond", "नदी", "लेक"],
-  },
-  {
-    category: "Other / Miscellaneous",
-    keywords: ["other", "unknown", "misc"],
-  },
-];
-
-function categorizeLocation(text) {
-  const lowerText = (text || "").toLowerCase().trim();
-  for (const { category, keywords } of locationMap) {
-    if (keywords.some((k) => lowerText.includes(k))) {
-      return category;
+// The fallback setting is grey; the others are colored in rule order
+const getSettingColor = (category, rules) =>
+  category === rules.ruleSets.setting.fallback
+    ? UNKNOWN_COLOR
+    : COLORS[categoryNames("setting", rules).indexOf(category) % COLORS.length];
+
+// Legend category and marker color of a record for each "color markers by" mode
+const getMarkerStyler = (mode, { wards, volunteerColors, categoryRules, t }) => {
+  switch (mode) {
+    case "volunteer":
+      return {
+        categoryOf: volunteerName,
+        colorOf: (row) => volunteerColors[volunteerName(row)],
+      };
+    case "setting":
+      return {
+        categoryOf: (row) => categorizeLocation(row.setting, categoryRules),
+        colorOf: (row) =>
+          getSettingColor(categorizeLocation(row.setting, categoryRules), categoryRules),
+        order: categoryNames("setting", categoryRules),
+      };
+    case "quantity":
+    case "clearance":
+    case "hazardous":
+      return FIXED_STYLERS[mode];
+    default: {
+      const wardLabel = (ward) => t("common.ward", { ward: String(ward) });
+      return {
+        categoryOf: (row) => (row.ward !== null ? wardLabel(row.ward) : UNKNOWN_CATEGORY),
+        colorOf: (row) => (row.ward !== null ? getWardColor(String(row.ward)) : UNKNOWN_COLOR),
+        order: wards.map(wardLabel),
+      };
     }
   }
-  return "Other / Miscellaneous";
-}
+};
 
-const calculateSettingData = (data) => {
+const calculateSettingData = (data, rules) => {
   const settingCount = {};
   data.forEach((row) => {
-    const settingValue = row["In_what_setting_is_the_GVP_pre"] || row["Location Type"] || row["other"] || "";
-    const category = categorizeLocation(settingValue);
+    const settingValue = row.setting || "";
+    const category = categorizeLocation(settingValue, rules);
     settingCount[category] = (settingCount[category] || 0) + 1;
   });
   const totalCount = Object.values(settingCount).reduce((sum, count) => sum + count, 0);
@@ -743,105 +385,19 @@ const calculateSettingData = (data) => {
     .slice(0, 5);
 };
 
-// Solution Categories
-const solutionCategories = [
-  {
-    category: "Bins and Facilites",
-    keywords: [
-      "Dust bin at Roadside",
-      "Should Punishment Fee",
-      "More Bins",
-      "Bins",
-      "More bins",
-      "More Bins Awareness Among People",
-      "Dustbins",
-      "Add a board ",
-      "Say to Use Of Dustbin",
-      "Add Dustbin",
-      " Bins Too",
-      " Dustbins and Strictly Fine",
-      "Bins and Facilities and strict fines",
-      "Increasing of Dustbin",
-    ],
-  },
-  {
-    category: "Technology-Enabled Monitoring",
-    keywords: [
-      "Fine and Surveillance Camera at that Place",
-      "Surveillance Camera at that Place",
-      "install camera on street.",
-      "Should Camera Surveillance",
-    ],
-  },
-  {
-    category: "Strict Enforcement Measures ",
-    keywords: [
-      "Strict Fines",
-      "strictly fine for people",
-      "Strictly Fine",
-      "strict fines",
-      "and strictly fine for people",
-    ],
-  },
-  {
-    category: "Public Awareness & Education ",
-    keywords: [
-      "Awareness Program",
-      "Awareness Among People",
-      "More Bins Awareness Among People",
-    ],
-  },
-  {
-    category: "Sanitization Vehicle Roster",
-    keywords: ["Should Regular Visit of Cleaner Vans"],
-  },
-  {
-    category: "Regulatory & Administrative Support",
-    keywords: ["the NMC vehicle should collect this garbage from here ."],
-  },
-  {
-    category: "Efficient Waste Collection System",
-    keywords: [
-      "Proper schedule for collection vehicle",
-      "The Place Need to be get cleaned from the road side on daily basis.",
-    ],
-  },
-  {
-    category: "Neutral Feedback",
-    keywords: ["Nothing"],
-  },
-];
-
-function categorizeSolution(text) {
-  const lowerText = (text || "").toLowerCase().trim();
-  for (const { category, keywords } of solutionCategories) {
-    if (keywords.some((k) => lowerText.includes(k.toLowerCase()))) {
-      return category;
-    }
-  }
-  return null;
-}
-
 // Calculate Solution Data with Categorization
-const calculateSolutionData = (data) => {
-  const solutionCount = solutionCategories.reduce((acc, { category }) => {
+const calculateSolutionData = (data, rules) => {
+  const solutionCategories = categoryNames("solution", rules);
+  const solutionCount = solutionCategories.reduce((acc, category) => {
     acc[category] = 0;
     return acc;
   }, {});
 
   data.forEach((row) => {
-    const columns = [
-      "Solution Suggested by Interviewee1",
-      "Solution Suggested by Interviewee2",
-      "Solution Suggested by Interviewee3",
-    ];
-    columns.forEach((col) => {
-      const solutionValue = row[col];
-      if (solutionValue && solutionValue.trim() !== "" && solutionValue !== "N/A") {
-        const category = categorizeSolution(solutionValue);
-        if (category) {
-          solutionCount[category] = (solutionCount[category] || 0) + 1;
-        }
+    row.solutionParts.forEach((solutionValue) => {
+      const category = categorizeSolution(solutionValue, rules);
+      if (category) {
+        solutionCount[category] = (solutionCount[category] || 0) + 1;
       }
     });
   });
@@ -849,7 +405,7 @@ const calculateSolutionData = (data) => {
   const allData = Object.entries(solutionCount).map(([name, count]) => ({ name, count }));
   const totalCount = allData.reduce((sum, item) => sum + item.count, 0);
   if (totalCount === 0) {
-    return solutionCategories.map(({ category }) => ({
+    return solutionCategories.map((category) => ({
       name: category,
       value: 100 / solutionCategories.length,
     }));
@@ -860,136 +416,486 @@ const calculateSolutionData = (data) => {
   })).sort((a, b) => b.value - a.value);
 };
 
+// Source of allData: the bundled JSON unless configured otherwise (see .env.example)
+const dataSource = createDataSource();
+
 function App() {
-  const [allData, setAllData] = useState([]);
-  const [selectedWards, setSelectedWards] = useState([]);
-  const [selectedRowIndex, setSelectedRowIndex] = useState(null);
+  const i18n = useI18n();
+  const { t, formatNumber, formatPercent, valueLabel } = i18n;
+  // Records as loaded; allData below has the accepted ward corrections applied
+  const [loadedData, setLoadedData] = useState([]);
+  const isOnline = useOnlineStatus();
+  const [syncState, setSyncState] = useState({
+    status: "idle",
+    origin: null,
+    lastSubmissionTime: null,
+    lastSyncedAt: null,
+    error: null,
+  });
+  // Filters, the selected GVP and the map view start from the URL (see urlState.js)
+  const [initialUrlState] = useState(() => parseUrlState(window.location.search));
+  const [selectedWards, setSelectedWards] = useState(initialUrlState.selectedWards);
+  const [dateRange, setDateRange] = useState(initialUrlState.dateRange);
+  // Selected GVPs by record id (see selection.js)
+  const [selection, setSelection] = useState({
+    ...EMPTY_SELECTION,
+    ids: initialUrlState.selectedIds,
+  });
   const [mapInstance, setMapInstance] = useState(null);
+  const [mapView, setMapView] = useState(initialUrlState.mapView);
   const [isDropdownOpen, setIsDropdownOpen] = useState(false);
+  const [mapOptions, setMapOptions] = useState({
+    colorMode: "ward",
+    showAccuracyCircles: false,
+    showHeatmap: false,
+    heatmapWeight: "volume",
+    wardMetric: "count",
+    showInteractions: false,
+    hideUncertain: false,
+    precisionThreshold: DEFAULT_PRECISION_THRESHOLD_METRES,
+  });
+  const [auditSettings, setAuditSettings] = useState(DEFAULT_AUDIT_SETTINGS);
+  const [qaFilter, setQaFilter] = useState(initialUrlState.qaFilter);
+  const [attributeFilter, setAttributeFilter] = useState(initialUrlState.attributeFilter);
+  const [crossFilters, setCrossFilters] = useState(initialUrlState.crossFilters);
+  const [interviewFilter, setInterviewFilter] = useState(initialUrlState.interviewFilter);
+  const [duplicateSettings, setDuplicateSettings] = useState(DEFAULT_DUPLICATE_SETTINGS);
+  const [duplicateReviews, setDuplicateReviews] = useState(loadDuplicateReviews);
+  const [wardBoundaries, setWardBoundaries] = useState(NO_WARD_BOUNDARIES);
+  const [wardCorrections, setWardCorrections] = useState(loadWardCorrections);
+  // The charts follow the rules being edited; savedCategoryRules are the stored ones
+  const [savedCategoryRules, setSavedCategoryRules] = useState(loadCategoryRules);
+  const [categoryRules, setCategoryRules] = useState(savedCategoryRules);
+  const [isRulesEditorOpen, setIsRulesEditorOpen] = useState(false);
+  const [tableQuery, setTableQuery] = useState("");
+  const [tableSort, setTableSort] = useState(DEFAULT_TABLE_SORT);
+
+  // Full load without `since`, incremental merge of newer submissions with it
+  const syncData = useCallback((since = null) => {
+    setSyncState((prev) => ({ ...prev, status: "syncing", error: null }));
+    return dataSource
+      .load({ since })
+      .then(({ rows, lastSubmissionTime }) => {
+        const records = normalizeRecords(rows);
+        setLoadedData((prev) => (since ? mergeRecords(prev, records) : records));
+        setSyncState({
+          status: "idle",
+          origin: dataSource.name,
+          lastSubmissionTime,
+          lastSyncedAt: new Date(),
+          error: null,
+        });
+      })
+      .catch((err) => {
+        setSyncState((prev) => ({ ...prev, status: "error", error: err.message }));
+      });
+  }, []);
 
+  // Render the cached copy first, then refresh it from the data source
   useEffect(() => {
-    fetch("/data_cleaned.json")
-      .then((res) => res.json())
-      .then((json) => setAllData(json));
+    let isCancelled = false;
+    loadSnapshot().then((snapshot) => {
+      if (isCancelled) return;
+      if (snapshot) {
+        setLoadedData(normalizeRecords(snapshot.rows));
+        setSyncState((prev) => ({
+          ...prev,
+          origin: "cache",
+          lastSubmissionTime: snapshot.lastSubmissionTime,
+          lastSyncedAt: snapshot.lastSyncedAt,
+        }));
+      }
+      const canResume = dataSource.incremental && snapshot && snapshot.source === dataSource.name;
+      syncData(canResume ? snapshot.lastSubmissionTime : null);
+    });
+    return () => {
+      isCancelled = true;
+    };
+  }, [syncData]);
+
+  // Without boundaries the map falls back to pins only and wards are picked from the list
+  useEffect(() => {
+    loadWardBoundaries()
+      .then(setWardBoundaries)
+      .catch((err) => console.warn("Could not load the ward boundaries:", err));
   }, []);
 
+  useEffect(() => {
+    document.title = t("app.title");
+  }, [t]);
+
+  useEffect(() => {
+    if (loadedData.length === 0 || syncState.status !== "idle" || syncState.origin === "cache") {
+      return;
+    }
+    saveSnapshot({
+      rows: loadedData.map((row) => row.raw),
+      source: syncState.origin,
+      lastSubmissionTime: syncState.lastSubmissionTime,
+      lastSyncedAt: syncState.lastSyncedAt,
+    });
+  }, [loadedData, syncState]);
+
+  useEffect(() => {
+    saveWardCorrections(wardCorrections);
+  }, [wardCorrections]);
+
+  // Checked against the wards as declared, so accepted corrections stay listed. Only
+  // official boundaries are checked against, and only their corrections apply.
+  const wardMismatches = useMemo(
+    () =>
+      wardBoundaries.source !== null
+        ? findWardMismatches(
+            loadedData.filter((row) => row.formType === "form_for_gvp"),
+            wardBoundaries.wards
+          )
+        : [],
+    [loadedData, wardBoundaries]
+  );
+
+  const acceptedWardCorrections = useMemo(
+    () => activeWardCorrections(wardCorrections, wardBoundaries.source),
+    [wardCorrections, wardBoundaries]
+  );
+
+  const allData = useMemo(
+    () => applyWardCorrections(loadedData, acceptedWardCorrections),
+    [loadedData, acceptedWardCorrections]
+  );
+
   const uniqueWards = useMemo(() => {
     const wardsSet = new Set(
-      allData
-        .map((row) =>
-          row["GVP Ward"] !== null && row["GVP Ward"] !== undefined
-            ? String(row["GVP Ward"])
-            : null
-        )
-        .filter(Boolean)
+      allData.map((row) => (row.ward !== null ? String(row.ward) : null)).filter(Boolean)
     );
     return Array.from(wardsSet).sort((a, b) => Number(a) - Number(b));
   }, [allData]);
 
-  const filteredData = useMemo(() => {
+  // Audited over all records, so overlaps are found regardless of the filters
+  const timingAudit = useMemo(() => auditTiming(allData, auditSettings), [allData, auditSettings]);
+
+  // Searched over all GVP records so a pair split by the filters is still found
+  const duplicateGroups = useMemo(
+    () =>
+      findDuplicateGroups(
+        allData.filter((row) => row.formType === "form_for_gvp"),
+        duplicateSettings
+      ),
+    [allData, duplicateSettings]
+  );
+
+  useEffect(() => {
+    saveDuplicateReviews(duplicateReviews);
+  }, [duplicateReviews]);
+
+  const flaggedCount = useMemo(
+    () => allData.filter((row) => isFlagged(timingAudit, row)).length,
+    [allData, timingAudit]
+  );
+
+  const locatedInterviewCount = allData.filter((row) => interviewDistanceMetres(row) !== null).length;
+  const farInterviewCount = allData.filter((row) =>
+    isFarInterview(row, interviewFilter.thresholdMetres)
+  ).length;
+
+  // Ward, QA, interview distance and chart filters
+  const baseFilteredData = useMemo(() => {
     return allData.filter(
       (row) =>
-        selectedWards.length === 0 ||
-        selectedWards.includes(String(row["GVP Ward"]))
+        (selectedWards.length === 0 ||
+          selectedWards.includes(String(row.ward))) &&
+        matchesQaFilter(timingAudit, row, qaFilter) &&
+        matchesInterviewDistanceFilter(row, interviewFilter) &&
+        matchesCrossFilters(row, crossFilters, categoryRules)
     );
-  }, [allData, selectedWards]);
+  }, [allData, selectedWards, timingAudit, qaFilter, interviewFilter, crossFilters, categoryRules]);
+
+  // Every filter except the date range
+  const wardFilteredData = useMemo(
+    () =>
+      baseFilteredData.filter((row) => matchesAttributeFilter(row, attributeFilter, categoryRules)),
+    [baseFilteredData, attributeFilter, categoryRules]
+  );
+
+  // Counted among the GVPs every other filter lets through
+  const attributeCounts = useMemo(
+    () =>
+      countFilterOptions(
+        baseFilteredData.filter(
+          (row) => row.formType === "form_for_gvp" && isWithinDateRange(row, dateRange)
+        ),
+        attributeFilter,
+        categoryRules
+      ),
+    [baseFilteredData, dateRange, attributeFilter, categoryRules]
+  );
+
+  // The timeline shows every date of the other filters, so it can widen the range again
+  const timelineData = useMemo(
+    () => calculateDailySubmissions(wardFilteredData, uniqueWards),
+    [wardFilteredData, uniqueWards]
+  );
+
+  const filteredData = useMemo(() => {
+    return wardFilteredData.filter((row) => isWithinDateRange(row, dateRange));
+  }, [wardFilteredData, dateRange]);
+
+  // Every filter except the wards, so unselected wards keep their shade on the map;
+  // merged duplicates are left out as in the totals
+  const wardMetrics = useMemo(
+    () =>
+      calculateWardMetrics(
+        allData.filter(
+          (row) =>
+            row.formType === "form_for_gvp" &&
+            !duplicateReviews.merged[row.id] &&
+            matchesQaFilter(timingAudit, row, qaFilter) &&
+            matchesInterviewDistanceFilter(row, interviewFilter) &&
+            matchesAttributeFilter(row, attributeFilter, categoryRules) &&
+            matchesCrossFilters(row, crossFilters, categoryRules) &&
+            isWithinDateRange(row, dateRange)
+        ),
+        (row) => getWasteWeight(row.quantity)
+      ),
+    [
+      allData,
+      duplicateReviews,
+      timingAudit,
+      qaFilter,
+      interviewFilter,
+      attributeFilter,
+      crossFilters,
+      categoryRules,
+      dateRange,
+    ]
+  );
+
+  const filteredTableData = useMemo(
+    () => filteredData.filter((row) => row.formType === "form_for_gvp"),
+    [filteredData]
+  );
+
+  // Selected GVPs the filters hide are deselected; the rest stay selected. Ids from
+  // the URL are kept until the data is in.
+  useEffect(() => {
+    if (loadedData.length === 0) return;
+    const visibleIds = new Set(filteredTableData.map((row) => row.id));
+    setSelection((prev) => keepVisibleSelection(prev, visibleIds));
+  }, [filteredTableData, loadedData]);
+
+  // The GVPs in the order the table shows them after its search and sort
+  const tableRows = useMemo(
+    () =>
+      sortRows(searchRows(filteredTableData, tableQuery), tableSort, {
+        timingAudit,
+        categoryRules,
+      }),
+    [filteredTableData, tableQuery, tableSort, timingAudit, categoryRules]
+  );
 
-  const filteredTableData = filteredData.filter(
-    (row) => row["Type_of_Form"] === "form_for_gvp"
+  const selectedRows = useMemo(
+    () => filteredTableData.filter((row) => selection.ids.includes(row.id)),
+    [filteredTableData, selection.ids]
   );
 
-  const selectedRow = selectedRowIndex !== null ? filteredTableData[selectedRowIndex] : null;
+  // The GVP clicked last, shown in the detail drawer
+  const focusedRow = selectedRows.find((row) => row.id === selection.anchorId) || selectedRows[0];
+  const focusedPosition = focusedRow ? tableRows.indexOf(focusedRow) + 1 : 0;
+
+  // Moves a single selection to the previous or next GVP in table order
+  const handleStepSelection = (step) => {
+    const next = tableRows[focusedPosition - 1 + step];
+    if (next) setSelection({ ids: [next.id], anchorId: next.id });
+  };
 
+  // Brings a new selection into view, but not the same one again after a filter change
+  const lastShownSelection = useRef("");
   useEffect(() => {
-    if (mapInstance && selectedRow) {
-      const lat = Number(selectedRow["GVP Latitude"]);
-      const lng = Number(selectedRow["GVP Longitude"]);
-      if (!Number.isNaN(lat) && !Number.isNaN(lng)) {
-        try {
-          mapInstance.flyTo([lat, lng], Math.max(mapInstance.getZoom(), 15), {
-            animate: true,
-            duration: 0.6,
-          });
-        } catch (e) {
-          // ignore if map not ready
-        }
+    const located = selectedRows.filter((row) => row.location);
+    const selectionKey = located.map((row) => row.id).join(",");
+    if (!mapInstance || selectionKey === lastShownSelection.current) return;
+    lastShownSelection.current = selectionKey;
+    try {
+      if (located.length === 1) {
+        const { lat, lng } = located[0].location;
+        mapInstance.flyTo([lat, lng], Math.max(mapInstance.getZoom(), 15), {
+          animate: true,
+          duration: 0.6,
+        });
+      } else if (located.length > 1) {
+        mapInstance.flyToBounds(
+          located.map((row) => [row.location.lat, row.location.lng]),
+          { padding: [40, 40], maxZoom: 16, duration: 0.6 }
+        );
       }
+    } catch (e) {
+      // ignore if map not ready
+    }
+  }, [selectedRows, mapInstance]);
+
+  useEffect(() => {
+    if (!mapInstance) return undefined;
+    const handleMoveEnd = () => {
+      const { lat, lng } = mapInstance.getCenter();
+      setMapView({ lat, lng, zoom: mapInstance.getZoom() });
+    };
+    mapInstance.on("moveend", handleMoveEnd);
+    return () => {
+      mapInstance.off("moveend", handleMoveEnd);
+    };
+  }, [mapInstance]);
+
+  const urlState = {
+    selectedWards,
+    dateRange,
+    qaFilter,
+    interviewFilter,
+    attributeFilter,
+    crossFilters,
+    selectedIds: selection.ids,
+    mapView,
+  };
+  const urlSearch = buildUrlSearch(urlState);
+  const urlFilterSearch = buildUrlSearch(urlState, { includeMapView: false });
+
+  // Filter and selection changes get their own history entry; map moves replace it
+  useEffect(() => {
+    if (urlSearch === window.location.search) return;
+    const currentFilterSearch = buildUrlSearch(parseUrlState(window.location.search), {
+      includeMapView: false,
+    });
+    const url = `${window.location.pathname}${urlSearch}${window.location.hash}`;
+    if (currentFilterSearch === urlFilterSearch) {
+      window.history.replaceState(null, "", url);
+    } else {
+      window.history.pushState(null, "", url);
     }
-  }, [selectedRow, mapInstance]);
+  }, [urlSearch, urlFilterSearch]);
 
+  // Back and forward restore the state from the URL
   useEffect(() => {
-    setSelectedRowIndex(null);
-  }, [selectedWards, allData]);
+    const handlePopState = () => {
+      const state = parseUrlState(window.location.search);
+      setSelectedWards(state.selectedWards);
+      setDateRange(state.dateRange);
+      setQaFilter(state.qaFilter);
+      setInterviewFilter(state.interviewFilter);
+      setAttributeFilter(state.attributeFilter);
+      setCrossFilters(state.crossFilters);
+      setSelection({ ...EMPTY_SELECTION, ids: state.selectedIds });
+      if (mapInstance) {
+        mapInstance.setView([state.mapView.lat, state.mapView.lng], state.mapView.zoom);
+      }
+    };
+    window.addEventListener("popstate", handlePopState);
+    return () => {
+      window.removeEventListener("popstate", handlePopState);
+    };
+  }, [mapInstance]);
+
+  // Cards and charts describe the selected GVPs, or every filtered one without a selection
+  const filteredDataForCards = selectedRows.length > 0 ? selectedRows : filteredTableData;
 
-  const filteredDataForCards = selectedRow ? [selectedRow] : filteredTableData;
+  // Records merged into another GVP are only counted once, through the record kept
+  const countedGarbagePoints = selectedRows.length > 0
+    ? filteredDataForCards
+    : filteredDataForCards.filter((row) => !duplicateReviews.merged[row.id]);
 
-  const totalGarbagePoints = filteredDataForCards.length;
+  const totalGarbagePoints = countedGarbagePoints.length;
 
-  const totalHathGadiVolume = filteredDataForCards.reduce((sum, row) => {
-    const quantity = row["Approx Waste Quantity Found at GVP"];
-    const weight = getWasteWeight(quantity);
+  const totalHathGadiVolume = countedGarbagePoints.reduce((sum, row) => {
+    const weight = getWasteWeight(row.quantity);
     return sum + weight;
   }, 0);
 
-  const pieData = selectedRow
-    ? calculatePieForRow(selectedRow)
+  const pieData = selectedRows.length === 1
+    ? calculatePieForRow(selectedRows[0])
     : calculateWasteTypeCounts(filteredDataForCards);
 
   const problemsData = calculateProblemsData(filteredDataForCards);
 
   const reasonsData = calculateReasonsData(filteredDataForCards);
 
-  const whoDisposeData = calculateWhoDisposeData(filteredDataForCards);
+  const whoDisposeData = calculateWhoDisposeData(filteredDataForCards, categoryRules);
 
-  const settingData = calculateSettingData(filteredDataForCards);
+  const settingData = calculateSettingData(filteredDataForCards, categoryRules);
 
-  const solutionData = calculateSolutionData(filteredDataForCards);
+  const solutionData = calculateSolutionData(filteredDataForCards, categoryRules);
 
-  const mapCenter = [21.135, 79.085];
+  const volunteerStats = useMemo(() => calculateVolunteerStats(filteredData), [filteredData]);
 
-  const handleMarkerClick = (row) => {
-    const keyOfRow = `${row["GVP Latitude"]}-${row["GVP Longitude"]}-${row["GVP Ward"]}`;
-    const idx = filteredTableData.findIndex(
-      (r) => `${r["GVP Latitude"]}-${r["GVP Longitude"]}-${r["GVP Ward"]}` === keyOfRow
-    );
+  // Colors are assigned over the whole dataset so they stay put while filtering
+  const volunteerColors = useMemo(() => assignVolunteerColors(allData), [allData]);
 
-    if (idx !== -1) {
-      if (selectedRowIndex === idx) {
-        setSelectedRowIndex(null);
-      } else {
-        setSelectedRowIndex(idx);
-      }
-      if (mapInstance) {
-        const lat = Number(row["GVP Latitude"]);
-        const lng = Number(row["GVP Longitude"]);
-        if (!Number.isNaN(lat) && !Number.isNaN(lng)) {
-          try {
-            mapInstance.flyTo([lat, lng], 15, { animate: true, duration: 0.5 });
-          } catch (e) {}
-        }
-      }
-    }
-  };
+  // Every filtered GVP stays on the map so more can be added to the selection
+  const locatedRows = useMemo(
+    () => filteredTableData.filter((row) => row.location),
+    [filteredTableData]
+  );
 
-  const handleZoomToMarker = (row, e) => {
-    e?.stopPropagation();
-    if (mapInstance) {
-      const lat = Number(row["GVP Latitude"]);
-      const lng = Number(row["GVP Longitude"]);
-      if (!Number.isNaN(lat) && !Number.isNaN(lng)) {
-        try {
-          mapInstance.setView([lat, lng], 16);
-        } catch (err) {}
-      }
-    }
+  const uncertainCount = locatedRows.filter((row) =>
+    isUncertainLocation(row, mapOptions.precisionThreshold)
+  ).length;
+
+  const mapRows = useMemo(
+    () =>
+      mapOptions.hideUncertain
+        ? locatedRows.filter((row) => !isUncertainLocation(row, mapOptions.precisionThreshold))
+        : locatedRows,
+    [locatedRows, mapOptions.hideUncertain, mapOptions.precisionThreshold]
+  );
+
+  // Follows the same filters as the markers; kept between renders, as the heat layer
+  // is redrawn whenever its points change
+  const heatPoints = useMemo(
+    () =>
+      mapOptions.showHeatmap
+        ? buildHeatPoints(mapRows, mapOptions.heatmapWeight, (row) => getWasteWeight(row.quantity))
+        : [],
+    [mapRows, mapOptions.showHeatmap, mapOptions.heatmapWeight]
+  );
+
+  // Cluster bubbles in the active language; the ones on the map are redrawn when it changes
+  const clusterGroupRef = useRef(null);
+  const createClusterIcon = useMemo(
+    () =>
+      createClusterIconFactory({
+        formatNumber,
+        volumeLabel: (volume) => t("map.clusterVolume", { volume }),
+        titleLabel: (count, volume) =>
+          t("map.clusterTitle", { gvps: t("common.gvps", { count }), volume }),
+      }),
+    [t, formatNumber]
+  );
+  useEffect(() => {
+    if (clusterGroupRef.current) clusterGroupRef.current.refreshClusters();
+  }, [createClusterIcon]);
+
+  const markerStyler = getMarkerStyler(mapOptions.colorMode, {
+    wards: uniqueWards,
+    volunteerColors,
+    categoryRules,
+    t,
+  });
+
+  // Tooltips of the bar charts; the ones that filter on click say so
+  const percentTooltip = (value) => formatPercent(value);
+  const crossFilterTooltip = (value, name, item) =>
+    t("charts.clickToFilter", {
+      percent: formatPercent(value),
+      gvps: t("common.gvps", { count: item.payload.count }),
+    });
+  const barLabel = (props) => renderCustomBarLabel(props, i18n);
+  const percentTick = (value) => formatPercent(value, 0);
+
+  const updateMapOptions = (changes) => {
+    setMapOptions((prev) => ({ ...prev, ...changes }));
   };
 
-  const handleRowClick = (rowIndex) => {
-    if (selectedRowIndex === rowIndex) {
-      setSelectedRowIndex(null);
-    } else {
-      setSelectedRowIndex(rowIndex);
-    }
+  // Ctrl/cmd-click adds to the selection; shift-click selects a range in table order
+  const handleSelect = (row, event, orderedIds = filteredTableData.map((r) => r.id)) => {
+    setSelection((prev) =>
+      updateSelection(prev, row.id, { ...selectionModifiers(event), orderedIds })
+    );
   };
 
   const handleWardChange = (e) => {
@@ -1004,15 +910,82 @@ function App() {
     setSelectedWards(uniqueWards);
   };
 
+  const handleToggleWard = (ward) => {
+    setSelectedWards((prev) =>
+      prev.includes(ward) ? prev.filter((w) => w !== ward) : [...prev, ward]
+    );
+  };
+
+  // Clicking a chart bar or pie slice toggles a filter on that value
+  const handleChartClick = (key, value) => {
+    setCrossFilters((prev) => toggleCrossFilter(prev, key, value));
+  };
+
+  // Bars and slices left out by a chart filter on the same dimension are dimmed
+  const chartCellProps = (key, value) => ({
+    className: "cursor-pointer",
+    fillOpacity:
+      crossFilters.some((filter) => filter.key === key) && !isCrossFiltered(crossFilters, key, value)
+        ? 0.35
+        : 1,
+  });
+
+  const handleImport = (records) => {
+    setSelectedWards([]);
+    setDateRange({ from: null, to: null });
+    setLoadedData(records);
+    setSyncState({
+      status: "idle",
+      origin: "import",
+      lastSubmissionTime: latestSubmissionTime(records.map((row) => row.raw)),
+      lastSyncedAt: new Date(),
+      error: null,
+    });
+  };
+
+  // Saved as the next version, so they take precedence over the bundled rules
+  const handleSaveRules = () => {
+    const rules = nextRulesVersion(categoryRules, savedCategoryRules);
+    saveCategoryRules(rules);
+    setSavedCategoryRules(rules);
+    setCategoryRules(rules);
+  };
+
   const toggleDropdown = () => {
     setIsDropdownOpen(!isDropdownOpen);
   };
 
   return (
     <div className="p-4 sm:p-6 bg-gray-100 min-h-screen font-sans">
-      <h1 className="text-3xl font-bold mb-6 text-gray-800 text-center">
-        Nagpur Garbage Dashboard
-      </h1>
+      <div className="flex justify-end items-center gap-3">
+        <button
+          onClick={() => setIsRulesEditorOpen(true)}
+          className="px-2 py-1 text-sm bg-white border rounded-lg shadow-sm text-gray-700 hover:bg-gray-100"
+        >
+          ⚙ {t("rules.open")}
+        </button>
+        <LanguageSwitcher />
+      </div>
+      {isRulesEditorOpen && (
+        <CategoryRulesEditor
+          rows={allData.filter((row) => row.formType === "form_for_gvp")}
+          rules={categoryRules}
+          savedRules={savedCategoryRules}
+          onChange={setCategoryRules}
+          onSave={handleSaveRules}
+          onDiscard={() => setCategoryRules(savedCategoryRules)}
+          onReset={() => setCategoryRules(DEFAULT_CATEGORY_RULES)}
+          onClose={() => setIsRulesEditorOpen(false)}
+        />
+      )}
+      <h1 className="text-3xl font-bold mb-6 text-gray-800 text-center">{t("app.title")}</h1>
+
+      <SyncStatus
+        isOnline={isOnline}
+        syncState={syncState}
+        canSync={dataSource.incremental && syncState.origin !== "import"}
+        onSync={() => syncData(syncState.lastSubmissionTime)}
+      />
 
       <div className="flex flex-col lg:flex-row gap-4 mb-8">
         <div className="flex flex-col gap-4 w-[450px]">
@@ -1021,10 +994,10 @@ function App() {
               className={`bg-white p-4 rounded-lg shadow-lg text-center border-b-4 border-yellow-500 flex flex-col justify-center ${CARD_SIZE_CLASSES}`}
             >
               <h2 className="text-sm font-semibold text-gray-500 uppercase tracking-wider">
-                Total Garbage Points
+                {t("cards.totalGarbagePoints")}
               </h2>
               <p className="text-5xl font-extrabold mt-1 text-gray-900">
-                {totalGarbagePoints}
+                {formatNumber(totalGarbagePoints)}
               </p>
             </div>
 
@@ -1032,24 +1005,48 @@ function App() {
               className={`bg-white p-4 rounded-lg shadow-lg text-center border-b-4 border-green-500 flex flex-col justify-center ${CARD_SIZE_CLASSES}`}
             >
               <h2 className="text-sm font-semibold text-gray-500 uppercase tracking-wider">
-                GVP Waste Volume (Hath Gadi)
+                {t("cards.wasteVolume")}
               </h2>
               <p className="text-5xl font-extrabold mt-1 text-gray-900">
-                {Math.round(totalHathGadiVolume)}
+                {formatNumber(Math.round(totalHathGadiVolume))}
               </p>
             </div>
           </div>
 
           <div className="bg-white p-4 rounded-lg shadow-lg border border-gray-200 relative">
-            <h2 className="text-lg font-semibold text-gray-700 text-center mb-4">Wards</h2>
+            <h2 className="text-lg font-semibold text-gray-700 text-center mb-4">{t("wards.title")}</h2>
+            {wardBoundaries.wards.length > 0 && (
+              <div className="mb-3 text-sm text-gray-600">
+                <p className="mb-2">{t("wards.clickMap")}</p>
+                <div className="flex flex-wrap items-center gap-2">
+                  {selectedWards.map((ward) => (
+                    <button
+                      key={ward}
+                      onClick={() => handleToggleWard(ward)}
+                      className="px-2 py-0.5 rounded-full bg-yellow-100 border border-yellow-400 text-gray-800 hover:bg-yellow-200"
+                      title={t("common.removeFromFilter")}
+                    >
+                      {t("common.ward", { ward: String(ward) })} ×
+                    </button>
+                  ))}
+                  {selectedWards.length > 0 && (
+                    <button onClick={() => setSelectedWards([])} className="text-yellow-600 hover:underline">
+                      {t("common.clear")}
+                    </button>
+                  )}
+                </div>
+              </div>
+            )}
             <div className="relative">
               <button
                 onClick={toggleDropdown}
                 className="w-full p-2 border rounded-lg shadow-sm bg-white text-left focus:outline-none focus:ring-2 focus:ring-yellow-500 flex justify-between items-center"
               >
                 {selectedWards.length > 0
-                  ? `${selectedWards.length} ward(s) selected`
-                  : "Select Wards"}
+                  ? t("wards.selectedCount", { count: selectedWards.length })
+                  : wardBoundaries.wards.length > 0
+                  ? t("wards.pickFromList")
+                  : t("wards.select")}
                 <span className="ml-2">▼</span>
               </button>
               {isDropdownOpen && (
@@ -1065,7 +1062,7 @@ function App() {
                       onChange={handleSelectAll}
                       className="form-checkbox h-4 w-4 text-yellow-500"
                     />
-                    <span className="text-sm">All</span>
+                    <span className="text-sm">{t("wards.all")}</span>
                   </label>
                   {uniqueWards.map((ward) => (
                     <label
@@ -1087,17 +1084,74 @@ function App() {
             </div>
           </div>
 
-          <div className="bg-white p-4 rounded-lg shadow-lg border border-gray-200 h-[500px]">
-            <DataTable
-              data={selectedRowIndex !== null ? [filteredTableData[selectedRowIndex]] : filteredDataForCards}
-              onRowClick={handleRowClick}
-              selectedRowIndex={selectedRowIndex}
-            />
-          </div>
+          <FilterSidebar
+            filter={attributeFilter}
+            counts={attributeCounts}
+            onChange={setAttributeFilter}
+          />
+
+          <DateRangeFilter
+            dateRange={dateRange}
+            minDay={timelineData.length > 0 ? timelineData[0].day : null}
+            maxDay={timelineData.length > 0 ? timelineData[timelineData.length - 1].day : null}
+            onChange={setDateRange}
+          />
+
+          <QaFilterPanel
+            settings={auditSettings}
+            onSettingsChange={setAuditSettings}
+            qaFilter={qaFilter}
+            onQaFilterChange={setQaFilter}
+            flaggedCount={flaggedCount}
+          />
+
+          <InterviewDistancePanel
+            filter={interviewFilter}
+            onChange={setInterviewFilter}
+            farCount={farInterviewCount}
+            locatedCount={locatedInterviewCount}
+          />
+
+          <DuplicateReviewPanel
+            groups={duplicateGroups}
+            reviews={duplicateReviews}
+            settings={duplicateSettings}
+            onSettingsChange={setDuplicateSettings}
+            onMerge={(group, keptId) => setDuplicateReviews((prev) => mergeGroup(prev, group, keptId))}
+            onUndo={(group) => setDuplicateReviews((prev) => undoMerge(prev, group))}
+            onDismiss={(group) => setDuplicateReviews((prev) => dismissGroup(prev, group))}
+            onResetDismissed={() => setDuplicateReviews((prev) => ({ ...prev, dismissed: [] }))}
+          />
+
+          <WardValidationPanel
+            source={wardBoundaries.source}
+            mismatches={wardMismatches}
+            corrections={acceptedWardCorrections}
+            onAccept={(row, ward) =>
+              setWardCorrections((prev) => acceptWardCorrection(prev, wardBoundaries.source, row, ward))
+            }
+            onUndo={(row) => setWardCorrections((prev) => undoWardCorrection(prev, row))}
+          />
+
+          <ImportPanel onImport={handleImport} />
+
+          <DataTable
+            rows={tableRows}
+            count={filteredTableData.length}
+            query={tableQuery}
+            onQueryChange={setTableQuery}
+            sort={tableSort}
+            onSortChange={setTableSort}
+            onRowClick={handleSelect}
+            selectedIds={selection.ids}
+            onClearSelection={() => setSelection(EMPTY_SELECTION)}
+            timingAudit={timingAudit}
+            categoryRules={categoryRules}
+          />
 
           <div className="bg-white p-4 rounded-lg shadow-lg border border-gray-200">
             <h2 className="text-lg font-semibold text-gray-700 text-center mb-4">
-              Breakdown by Waste Type
+              {t("charts.wasteTypes")}
             </h2>
             <ResponsiveContainer width="100%" height={300}>
               <PieChart margin={{ top: 20, right: 30, left: 30, bottom: 20 }}>
@@ -1109,119 +1163,160 @@ function App() {
                   cy="50%"
                   outerRadius={90}
                   innerRadius={60}
-                  label={renderCustomizedLabel}
+                  label={(props) => renderCustomizedLabel(props, i18n)}
                   labelLine={false}
+                  onClick={(entry) => handleChartClick("wasteType", entry.name)}
                 >
                   {pieData.map((entry, index) => (
                     <Cell
                       key={`cell-${index}`}
                       fill={COLORS[index % COLORS.length]}
+                      {...chartCellProps("wasteType", entry.name)}
                     />
                   ))}
                 </Pie>
-                <Tooltip />
+                <Tooltip formatter={(value, name) => [formatNumber(value), valueLabel(name)]} />
               </PieChart>
             </ResponsiveContainer>
           </div>
         </div>
 
         <div className="flex-1">
+          <CrossFilterChips
+            crossFilters={crossFilters}
+            onRemove={({ key, value }) => handleChartClick(key, value)}
+            onClear={() => setCrossFilters([])}
+          />
+          <MapControls
+            options={mapOptions}
+            onChange={updateMapOptions}
+            uncertainCount={uncertainCount}
+          />
           <div className="h-[600px]">
             <MapContainer
-              whenCreated={(map) => setMapInstance(map)}
-              center={mapCenter}
-              zoom={13}
+              ref={setMapInstance}
+              center={[initialUrlState.mapView.lat, initialUrlState.mapView.lng]}
+              zoom={initialUrlState.mapView.zoom}
               className="w-full h-full rounded-lg shadow-lg border border-gray-200"
             >
               <TileLayer
                 attribution='&copy; <a href="https://www.openstreetmap.org/">OpenStreetMap</a>'
                 url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
               />
-              {(selectedRow ? [selectedRow] : filteredDataForCards)
-                .filter((row) => row["GVP Latitude"] && row["GVP Longitude"])
-                .map((row, idx) => {
-                  const lat = Number(row["GVP Latitude"]);
-                  const lng = Number(row["GVP Longitude"]);
-                  const ward = row["GVP Ward"] || "";
-                  const stableKey = `${ward}-${lat}-${lng}-${idx}`;
-
-                  // Get color name based on ward, default to blue
-                  const colorName = WARD_COLOR_MAP[ward] || "blue";
-
-                  // Custom marker icon with ward color
-                  const customIcon = new L.Icon({
-                    iconRetinaUrl: `https://raw.githubusercontent.com/pointhi/leaflet-color-markers/master/img/marker-icon-2x-${colorName}.png`,
-                    iconUrl: `https://raw.githubusercontent.com/pointhi/leaflet-color-markers/master/img/marker-icon-${colorName}.png`,
-                    shadowUrl: "https://unpkg.com/leaflet@1.7.1/dist/images/marker-shadow.png",
-                    iconSize: [25, 41],
-                    iconAnchor: [12, 41],
-                    popupAnchor: [1, -34],
-                    shadowSize: [41, 41],
-                  });
+              <MarkerLegend
+                title={t(`map.colorModes.${mapOptions.colorMode}`)}
+                entries={buildLegend(mapRows, markerStyler)}
+              />
+              {mapOptions.wardMetric !== "none" && (
+                <WardChoropleth
+                  boundaries={wardBoundaries.wards}
+                  metrics={wardMetrics}
+                  metric={mapOptions.wardMetric}
+                  selectedWards={selectedWards}
+                  onToggleWard={handleToggleWard}
+                />
+              )}
+              {mapOptions.showHeatmap && <HeatmapLayer points={heatPoints} />}
+              {mapOptions.showInteractions && (
+                <InteractionLayer rows={mapRows} thresholdMetres={interviewFilter.thresholdMetres} />
+              )}
+              {mapOptions.showAccuracyCircles &&
+                mapRows
+                  .filter((row) => locationPrecision(row) !== null)
+                  .map((row, idx) => (
+                    <Circle
+                      key={`accuracy-${row.id}-${idx}`}
+                      center={[row.location.lat, row.location.lng]}
+                      radius={locationPrecision(row)}
+                      interactive={false}
+                      pathOptions={{
+                        color: isUncertainLocation(row, mapOptions.precisionThreshold)
+                          ? "#F97316"
+                          : "#3B82F6",
+                        weight: 1,
+                        fillOpacity: 0.1,
+                      }}
+                    />
+                  ))}
+              {/* Zoom-dependent clusters; clicking one zooms in until it splits up */}
+              <MarkerClusterGroup
+                chunkedLoading
+                showCoverageOnHover={false}
+                iconCreateFunction={createClusterIcon}
+                ref={clusterGroupRef}
+              >
+                {mapRows.map((row) => {
+                  const { lat, lng } = row.location;
+                  const isUncertain = isUncertainLocation(row, mapOptions.precisionThreshold);
+                  const isSelected = selection.ids.includes(row.id);
+
+                  const customIcon = getPinIcon(markerStyler.colorOf(row), isUncertain, isSelected);
 
                   return (
                     <Marker
-                      key={stableKey}
+                      key={row.id}
                       position={[lat, lng]}
                       icon={customIcon}
+                      opacity={isUncertain ? 0.75 : 1}
+                      zIndexOffset={isSelected ? 1000 : 0}
+                      hathGadiVolume={getWasteWeight(row.quantity)}
                       eventHandlers={{
-                        click: () => handleMarkerClick(row),
+                        click: (e) => handleSelect(row, e.originalEvent),
                       }}
                     >
-                      <LeafletTooltip
-                        direction="auto"
-                        offset={[0, -20]}
-                        opacity={1}
-                        sticky={true}
-                        permanent={false}
-                        interactive={true}
-                        className="rounded shadow-lg p-0 custom-tooltip"
-                      >
-                        <div
-                          style={{
-                            maxWidth: 700,
-                            minWidth: 400,
-                            minHeight: 400,
-                            overflow: "visible",
-                            whiteSpace: "pre-wrap",
-                            fontSize: 12,
-                            lineHeight: 1.0,
-                            padding: 12,
-                            background: "white",
-                            borderRadius: 10,
-                            boxShadow: "0 8px 22px rgba(0,0,0,0.25), 0 2px 6px rgba(0,0,0,0.08)",
-                          }}
-                        >
-                          <div style={{ marginBottom: 8, fontWeight: 700 }}>
-                            Garbage Point Info
+                      <LeafletTooltip direction="top" offset={[0, -20]} opacity={1}>
+                        <div className="text-xs">
+                          <div className="font-semibold">
+                            {row.nearestLocation || t("map.unnamedLocation")}
+                            {row.ward !== null ? ` · ${t("common.ward", { ward: String(row.ward) })}` : ""}
                           </div>
-                          <div style={{ marginBottom: 8 }}>
-                            {getGarbagePointInfo(row)}
+                          <div className={isUncertain ? "text-orange-700" : "text-gray-600"}>
+                            {isUncertain ? `⚠ ${t("map.uncertainLocation")}` : `📍 ${t("map.location")}`}{" "}
+                            ({describePrecision(row, i18n)})
                           </div>
+                          <div className="text-gray-500">{t("map.clickForDetails")}</div>
                         </div>
                       </LeafletTooltip>
                     </Marker>
                   );
                 })}
+              </MarkerClusterGroup>
             </MapContainer>
           </div>
+          <SubmissionsTimeline
+            data={timelineData}
+            wards={uniqueWards}
+            getWardColor={getWardColor}
+            dateRange={dateRange}
+            onRangeChange={setDateRange}
+          />
           <h2 className="text-2xl font-bold mt-4 text-center text-black">
-            Key Findings from the GVP Survey
+            {t("charts.keyFindings")}
           </h2>
           <div className="flex flex-row gap-4 mt-4">
             <div className="w-full bg-white p-4 rounded-lg shadow-lg border border-gray-200">
               <h2 className="text-lg font-semibold text-gray-700 text-center mb-4">
-                Top Problems Faced by Residents around GVP
+                {t("charts.problems")}
               </h2>
               <ResponsiveContainer width="100%" height={200}>
                 <BarChart data={problemsData} layout="vertical">
                   <CartesianGrid strokeDasharray="3 3" />
-                  <XAxis type="number" domain={[0, 100]} tickFormatter={(value) => `${value}%`} />
-                  <YAxis dataKey="name" type="category" width={150} tick={{ fontSize: 14, angle: 0, fill: "black" }} interval={0} />
-                  <Tooltip formatter={(value) => `${value.toFixed(1)}% - Detailed info here`} />
-                  <Bar dataKey="value" barSize={20} radius={[4, 4, 0, 0]} label={renderCustomBarLabel}>
+                  <XAxis type="number" domain={[0, 100]} tickFormatter={percentTick} />
+                  <YAxis dataKey="name" type="category" tickFormatter={valueLabel} width={150} tick={{ fontSize: 14, angle: 0, fill: "black" }} interval={0} />
+                  <Tooltip formatter={crossFilterTooltip} labelFormatter={valueLabel} />
+                  <Bar
+                    dataKey="value"
+                    barSize={20}
+                    radius={[4, 4, 0, 0]}
+                    label={barLabel}
+                    onClick={(entry) => handleChartClick("problems", entry.payload.name)}
+                  >
                     {problemsData.map((entry, index) => (
-                      <Cell key={`cell-${index}`} fill={BAR_COLORS[index % BAR_COLORS.length]} />
+                      <Cell
+                        key={`cell-${index}`}
+                        fill={BAR_COLORS[index % BAR_COLORS.length]}
+                        {...chartCellProps("problems", entry.name)}
+                      />
                     ))}
                   </Bar>
                 </BarChart>
@@ -1229,15 +1324,15 @@ function App() {
             </div>
             <div className="w-full bg-white p-4 rounded-lg shadow-lg border border-gray-200">
               <h2 className="text-lg font-semibold text-gray-700 text-center mb-4">
-                Top Settings Where GVPs Are Found
+                {t("charts.settings")}
               </h2>
               <ResponsiveContainer width="100%" height={200}>
                 <BarChart data={settingData} layout="vertical">
                   <CartesianGrid strokeDasharray="3 3" />
-                  <XAxis type="number" domain={[0, 100]} tickFormatter={(value) => `${value}%`} />
-                  <YAxis dataKey="name" type="category" width={200} tick={{ fontSize: 14, angle: 0, fill: "black" }} interval={0} />
-                  <Tooltip formatter={(value) => `${value.toFixed(1)}% - Detailed info here`} />
-                  <Bar dataKey="value" barSize={20} label={renderCustomBarLabel}>
+                  <XAxis type="number" domain={[0, 100]} tickFormatter={percentTick} />
+                  <YAxis dataKey="name" type="category" tickFormatter={valueLabel} width={200} tick={{ fontSize: 14, angle: 0, fill: "black" }} interval={0} />
+                  <Tooltip formatter={percentTooltip} labelFormatter={valueLabel} />
+                  <Bar dataKey="value" barSize={20} label={barLabel}>
                     {settingData.map((entry, index) => (
                       <Cell key={`cell-${index}`} fill={BAR_COLORS[index % BAR_COLORS.length]} />
                     ))}
@@ -1249,15 +1344,15 @@ function App() {
           <div className="flex flex-row gap-4 mt-4">
             <div className="w-full bg-white p-4 rounded-lg shadow-lg border border-gray-200">
               <h2 className="text-lg font-semibold text-gray-700 text-center mb-4">
-                Who is Disposing the most Waste (as per Citizens)
+                {t("charts.whoDisposes")}
               </h2>
               <ResponsiveContainer width="100%" height={400}>
                 <BarChart data={whoDisposeData} layout="vertical" margin={{ top: 20, right: 100, left: 0, bottom: 20 }}>
                   <CartesianGrid strokeDasharray="3 3" />
-                  <XAxis type="number" domain={[0, 100]} tickFormatter={(value) => `${value}%`} />
-                  <YAxis dataKey="name" type="category" width={250} tick={{ fontSize: 14, angle: 0, fill: "black" }} interval={0} />
-                  <Tooltip formatter={(value) => `${value.toFixed(1)}% - Detailed info here`} />
-                  <Bar dataKey="value" barSize={20} label={renderCustomBarLabel}>
+                  <XAxis type="number" domain={[0, 100]} tickFormatter={percentTick} />
+                  <YAxis dataKey="name" type="category" tickFormatter={valueLabel} width={250} tick={{ fontSize: 14, angle: 0, fill: "black" }} interval={0} />
+                  <Tooltip formatter={percentTooltip} labelFormatter={valueLabel} />
+                  <Bar dataKey="value" barSize={20} label={barLabel}>
                     {whoDisposeData.map((entry, index) => (
                       <Cell key={`cell-${index}`} fill={BAR_COLORS[index % BAR_COLORS.length]} />
                     ))}
@@ -1267,23 +1362,33 @@ function App() {
             </div>
             <div className="w-full bg-white p-4 rounded-lg shadow-lg border border-gray-200">
               <h2 className="text-lg font-semibold text-gray-700 text-center mb-4">
-                Reasons for Waste Accumulation
+                {t("charts.reasons")}
               </h2>
               <ResponsiveContainer width="100%" height={400}>
                 <BarChart data={reasonsData} layout="vertical" margin={{ top: 20, right: 100, left: 0, bottom: 20 }}>
                   <CartesianGrid strokeDasharray="3 3" />
-                  <XAxis type="number" domain={[0, 100]} tickFormatter={(value) => `${value}%`} />
+                  <XAxis type="number" domain={[0, 100]} tickFormatter={percentTick} />
                   <YAxis
                     dataKey="name"
                     type="category"
+                    tickFormatter={valueLabel}
                     width={250}
                     tick={{ fontSize: 14, angle: 0, fill: "black" }}
                     interval={0}
                   />
-                  <Tooltip formatter={(value) => `${value.toFixed(1)}% - Detailed info here`} />
-                  <Bar dataKey="value" barSize={20} label={renderCustomBarLabel}>
+                  <Tooltip formatter={crossFilterTooltip} labelFormatter={valueLabel} />
+                  <Bar
+                    dataKey="value"
+                    barSize={20}
+                    label={barLabel}
+                    onClick={(entry) => handleChartClick("reasons", entry.payload.name)}
+                  >
                     {reasonsData.map((entry, index) => (
-                      <Cell key={`cell-${index}`} fill={BAR_COLORS[index % BAR_COLORS.length]} />
+                      <Cell
+                        key={`cell-${index}`}
+                        fill={BAR_COLORS[index % BAR_COLORS.length]}
+                        {...chartCellProps("reasons", entry.name)}
+                      />
                     ))}
                   </Bar>
                 </BarChart>
@@ -1293,15 +1398,15 @@ function App() {
           <div className="flex flex-row gap-4 mt-4">
             <div className="w-full bg-white p-4 rounded-lg shadow-lg border border-gray-200" style={{ width: '50%' }}>
               <h2 className="text-lg font-semibold text-gray-700 text-center mb-4">
-                Top Solutions Suggested (by Citizens)
+                {t("charts.solutions")}
               </h2>
               <ResponsiveContainer width="100%" height={400}>
                 <BarChart data={solutionData} layout="vertical" margin={{ top: 20, right: 100, left: 0, bottom: 20 }}>
                   <CartesianGrid strokeDasharray="3 3" />
-                  <XAxis type="number" domain={[0, 100]} tickFormatter={(value) => `${value}%`} />
-                  <YAxis dataKey="name" type="category" width={150} tick={{ fontSize: 14, angle: 0, fill: "black" }} interval={0} />
-                  <Tooltip formatter={(value) => `${value.toFixed(1)}% - Detailed info here`} />
-                  <Bar dataKey="value" barSize={20} label={renderCustomBarLabel}>
+                  <XAxis type="number" domain={[0, 100]} tickFormatter={percentTick} />
+                  <YAxis dataKey="name" type="category" tickFormatter={valueLabel} width={150} tick={{ fontSize: 14, angle: 0, fill: "black" }} interval={0} />
+                  <Tooltip formatter={percentTooltip} labelFormatter={valueLabel} />
+                  <Bar dataKey="value" barSize={20} label={barLabel}>
                     {solutionData.map((entry, index) => (
                       <Cell key={`cell-${index}`} fill={BAR_COLORS[index % BAR_COLORS.length]} />
                     ))}
@@ -1309,9 +1414,25 @@ function App() {
                 </BarChart>
               </ResponsiveContainer>
             </div>
+            <VolunteerPanel
+              stats={volunteerStats}
+              volunteerColors={volunteerColors}
+              showColors={mapOptions.colorMode === "volunteer"}
+            />
           </div>
         </div>
       </div>
+      {focusedRow && (
+        <GvpDetailDrawer
+          row={focusedRow}
+          position={focusedPosition}
+          count={tableRows.length}
+          onStep={handleStepSelection}
+          onClose={() => setSelection(EMPTY_SELECTION)}
+          timingAudit={timingAudit}
+          precisionThreshold={mapOptions.precisionThreshold}
+        />
+      )}
     </div>
   );
 }
@@ -0,0 +1,328 @@
+import React, { useEffect, useMemo, useRef, useState } from "react";
+
+import {
+  addCategory,
+  addKeyword,
+  categorizationChanges,
+  countCategoryAnswers,
+  moveCategory,
+  parseCategoryRules,
+  removeCategory,
+  removeKeyword,
+  RULE_SET_KEYS,
+  WHOLE_WORD_KEYWORD_LENGTH,
+} from "./categories";
+import { useI18n } from "./LanguageContext";
+
+// Answers listed in the preview before it is cut off
+const PREVIEW_LIMIT = 25;
+
+// A text field that adds what is typed on Enter or with its button
+const AddForm = ({ placeholder, buttonLabel, onAdd }) => {
+  const [value, setValue] = useState("");
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (value.trim() === "") return;
+    onAdd(value);
+    setValue("");
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="flex gap-2 mt-2">
+      <input
+        type="text"
+        value={value}
+        onChange={(e) => setValue(e.target.value)}
+        placeholder={placeholder}
+        className="flex-1 min-w-0 p-1 text-sm border rounded-lg focus:outline-none focus:ring-2 focus:ring-yellow-500"
+      />
+      <button
+        type="submit"
+        className="px-2 py-1 text-sm border rounded-lg text-gray-700 hover:bg-gray-100"
+      >
+        + {buttonLabel}
+      </button>
+    </form>
+  );
+};
+
+const downloadRules = (rules) => {
+  const blob = new Blob([`${JSON.stringify(rules, null, 2)}\n`], { type: "application/json" });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = `categoryRules-v${rules.version}.json`;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+// Side panel for the keyword rules that group free-text answers. The charts follow
+// the edited rules right away; the preview lists the answers they move compared
+// with the saved rules.
+const CategoryRulesEditor = ({
+  rows,
+  rules,
+  savedRules,
+  onChange,
+  onSave,
+  onDiscard,
+  onReset,
+  onClose,
+}) => {
+  const { t, formatNumber, valueLabel, hasValueLabel } = useI18n();
+  const [setKey, setSetKey] = useState(RULE_SET_KEYS[0]);
+  const [importError, setImportError] = useState(null);
+  const panelRef = useRef(null);
+  const fileInputRef = useRef(null);
+
+  // Focus moves into the panel when it opens, so Escape closes it
+  useEffect(() => {
+    panelRef.current.focus();
+  }, []);
+
+  const changesBySet = useMemo(
+    () =>
+      Object.fromEntries(
+        RULE_SET_KEYS.map((key) => [key, categorizationChanges(rows, key, savedRules, rules)])
+      ),
+    [rows, savedRules, rules]
+  );
+  const answerCounts = useMemo(
+    () => countCategoryAnswers(rows, setKey, rules),
+    [rows, setKey, rules]
+  );
+
+  const isEdited = JSON.stringify(rules.ruleSets) !== JSON.stringify(savedRules.ruleSets);
+  const { fallback, categories } = rules.ruleSets[setKey];
+  const changes = changesBySet[setKey];
+  const categoryLabel = (category) => (category === null ? t("rules.leftOut") : valueLabel(category));
+  const answersLabel = (category) => t("rules.answers", { count: answerCounts[category] || 0 });
+
+  // Errors of the rules file name a rules.errors message; any other error means the
+  // file could not be read
+  const importErrorText = (err) => {
+    if (!err.values) return t("rules.errors.unreadable");
+    const { setKey, category } = err.values;
+    return t(err.message, {
+      set: setKey && t(`rules.sets.${setKey}`),
+      category: category && valueLabel(category),
+    });
+  };
+
+  const handleImport = async (file) => {
+    if (!file) return;
+    setImportError(null);
+    try {
+      onChange(parseCategoryRules(await file.text()));
+    } catch (err) {
+      setImportError(err);
+    } finally {
+      fileInputRef.current.value = "";
+    }
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === "Escape" && e.target.tagName !== "INPUT") onClose();
+  };
+
+  return (
+    <aside
+      ref={panelRef}
+      aria-labelledby="rules-editor-title"
+      tabIndex={-1}
+      onKeyDown={handleKeyDown}
+      className="fixed top-0 left-0 z-[1500] h-full w-[460px] max-w-full bg-white shadow-2xl border-r border-gray-200 flex flex-col focus:outline-none"
+    >
+      <header className="p-4 border-b border-gray-200">
+        <div className="flex justify-between items-start gap-2">
+          <div>
+            <h2 id="rules-editor-title" className="text-lg font-semibold text-gray-800">
+              {t("rules.title")}
+            </h2>
+            <p className="text-sm text-gray-500">
+              {t("rules.version", { version: String(savedRules.version) })}
+              {isEdited && ` · ${t("rules.unsaved")}`}
+            </p>
+          </div>
+          <button
+            onClick={onClose}
+            aria-label={t("rules.close")}
+            className="px-2 py-1 rounded-lg text-gray-600 hover:bg-gray-100"
+          >
+            ✕
+          </button>
+        </div>
+        <div role="tablist" className="flex gap-1 mt-3 text-sm">
+          {RULE_SET_KEYS.map((key) => (
+            <button
+              key={key}
+              role="tab"
+              aria-selected={key === setKey}
+              onClick={() => setSetKey(key)}
+              className={`flex-1 px-2 py-1 rounded-lg border ${
+                key === setKey
+                  ? "bg-yellow-500 border-yellow-500 text-white"
+                  : "text-gray-700 hover:bg-gray-100"
+              }`}
+            >
+              {t(`rules.sets.${key}`)}
+              {changesBySet[key].length > 0 && ` (${formatNumber(changesBySet[key].length)})`}
+            </button>
+          ))}
+        </div>
+      </header>
+
+      <div className="flex-1 overflow-y-auto p-4 space-y-3 text-sm">
+        <p className="text-gray-500">
+          {t("rules.matching", { length: WHOLE_WORD_KEYWORD_LENGTH })}{" "}
+          {fallback === null
+            ? t("rules.noFallback")
+            : t("rules.fallback", { category: valueLabel(fallback), answers: answersLabel(fallback) })}
+        </p>
+
+        <ol className="space-y-2">
+          {categories.map(({ category, keywords }, index) => (
+            <li key={category} className="p-2 border border-gray-200 rounded-lg">
+              <div className="flex items-center gap-2">
+                <span className="flex-1 font-medium text-gray-800">
+                  {valueLabel(category)}{" "}
+                  <span className="font-normal text-gray-500">({answersLabel(category)})</span>
+                  {!hasValueLabel(category) && (
+                    <span className="block text-xs font-normal text-gray-500">
+                      {t("rules.untranslated")}
+                    </span>
+                  )}
+                </span>
+                <button
+                  onClick={() => onChange(moveCategory(rules, setKey, category, -1))}
+                  disabled={index === 0}
+                  aria-label={t("rules.moveUp", { category: valueLabel(category) })}
+                  className="px-1 rounded text-gray-600 hover:bg-gray-100 disabled:opacity-40"
+                >
+                  ↑
+                </button>
+                <button
+                  onClick={() => onChange(moveCategory(rules, setKey, category, 1))}
+                  disabled={index === categories.length - 1}
+                  aria-label={t("rules.moveDown", { category: valueLabel(category) })}
+                  className="px-1 rounded text-gray-600 hover:bg-gray-100 disabled:opacity-40"
+                >
+                  ↓
+                </button>
+                <button
+                  onClick={() => onChange(removeCategory(rules, setKey, category))}
+                  aria-label={t("rules.removeCategory", { category: valueLabel(category) })}
+                  className="px-1 rounded text-red-600 hover:bg-red-50"
+                >
+                  ✕
+                </button>
+              </div>
+              <div className="flex flex-wrap gap-1 mt-2">
+                {keywords.map((keyword, keywordIndex) => (
+                  <span
+                    key={`${keyword}-${keywordIndex}`}
+                    className="inline-flex items-center gap-1 px-2 py-0.5 bg-gray-100 rounded-full text-xs text-gray-700"
+                  >
+                    {keyword}
+                    <button
+                      onClick={() => onChange(removeKeyword(rules, setKey, category, keyword))}
+                      aria-label={t("rules.removeKeyword", { keyword })}
+                      className="text-gray-500 hover:text-red-600"
+                    >
+                      ×
+                    </button>
+                  </span>
+                ))}
+                {keywords.length === 0 && (
+                  <span className="text-xs text-gray-500">{t("rules.noKeywords")}</span>
+                )}
+              </div>
+              <AddForm
+                placeholder={t("rules.keywordPlaceholder")}
+                buttonLabel={t("rules.addKeyword")}
+                onAdd={(keyword) => onChange(addKeyword(rules, setKey, category, keyword))}
+              />
+            </li>
+          ))}
+        </ol>
+
+        <AddForm
+          placeholder={t("rules.categoryPlaceholder")}
+          buttonLabel={t("rules.addCategory")}
+          onAdd={(category) => onChange(addCategory(rules, setKey, category))}
+        />
+
+        <section aria-live="polite">
+          <h3 className="font-semibold text-gray-700 mt-4 mb-1">{t("rules.changes")}</h3>
+          {changes.length === 0 ? (
+            <p className="text-gray-500">{t("rules.noChanges")}</p>
+          ) : (
+            <ul className="space-y-1">
+              {changes.slice(0, PREVIEW_LIMIT).map(({ answer, count, from, to }) => (
+                <li key={answer} className="text-gray-700">
+                  “{answer}” ({formatNumber(count)}): {categoryLabel(from)} →{" "}
+                  <span className="font-medium">{categoryLabel(to)}</span>
+                </li>
+              ))}
+              {changes.length > PREVIEW_LIMIT && (
+                <li className="text-gray-500">
+                  {t("rules.moreChanges", { count: changes.length - PREVIEW_LIMIT })}
+                </li>
+              )}
+            </ul>
+          )}
+        </section>
+      </div>
+
+      <footer className="p-4 border-t border-gray-200 space-y-2 text-sm">
+        <div className="flex gap-2">
+          <button
+            onClick={onSave}
+            disabled={!isEdited}
+            className="px-3 py-1 rounded-lg bg-yellow-500 text-white hover:bg-yellow-600 disabled:opacity-40"
+          >
+            {t("rules.save")}
+          </button>
+          <button
+            onClick={onDiscard}
+            disabled={!isEdited}
+            className="px-3 py-1 border rounded-lg text-gray-700 hover:bg-gray-100 disabled:opacity-40"
+          >
+            {t("rules.discard")}
+          </button>
+          <button
+            onClick={onReset}
+            className="px-3 py-1 border rounded-lg text-gray-700 hover:bg-gray-100"
+          >
+            {t("rules.reset")}
+          </button>
+        </div>
+        <div className="flex gap-2">
+          <button
+            onClick={() => downloadRules(savedRules)}
+            className="px-3 py-1 border rounded-lg text-gray-700 hover:bg-gray-100"
+          >
+            {t("rules.export")}
+          </button>
+          <button
+            onClick={() => fileInputRef.current.click()}
+            className="px-3 py-1 border rounded-lg text-gray-700 hover:bg-gray-100"
+          >
+            {t("rules.import")}
+          </button>
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept=".json,application/json"
+            onChange={(e) => handleImport(e.target.files[0])}
+            className="hidden"
+          />
+        </div>
+        {importError && <p className="text-red-600">{importErrorText(importError)}</p>}
+      </footer>
+    </aside>
+  );
+};
+
+export default CategoryRulesEditor;
@@ -0,0 +1,39 @@
+import React from "react";
+
+import { useI18n } from "./LanguageContext";
+
+// Removable chips for the filters set by clicking chart bars and pie slices
+const CrossFilterChips = ({ crossFilters, onRemove, onClear }) => {
+  const { t, valueLabel } = useI18n();
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 mb-2 text-sm text-gray-600">
+      {crossFilters.length === 0 ? (
+        <span>{t("filters.chartHint")}</span>
+      ) : (
+        <>
+          <span>{t("filters.chartFilters")}</span>
+          {crossFilters.map((filter) => (
+            <button
+              key={`${filter.key}-${filter.value}`}
+              onClick={() => onRemove(filter)}
+              className="px-2 py-0.5 rounded-full bg-yellow-100 border border-yellow-400 text-gray-800 hover:bg-yellow-200"
+              title={t("common.removeFromFilter")}
+            >
+              {t("filters.chartFilter", {
+                dimension: t(`filters.dimensions.${filter.key}`),
+                value: valueLabel(filter.value),
+              })}{" "}
+              ×
+            </button>
+          ))}
+          <button onClick={onClear} className="text-yellow-600 hover:underline">
+            {t("common.clear")}
+          </button>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default CrossFilterChips;
@@ -0,0 +1,239 @@
+import React, { useEffect, useState } from "react";
+
+import {
+  loadVisibleColumns,
+  nextSort,
+  pageCount,
+  PAGE_SIZE,
+  saveVisibleColumns,
+  TABLE_COLUMNS,
+  toggleColumn,
+  wasteTypesOf,
+} from "./gvpTable";
+import { useI18n } from "./LanguageContext";
+import QaBadge from "./QaBadge";
+
+const rowColors = [
+  "#FFEBEE",
+  "#FFF3E0",
+  "#FFF9C4",
+  "#E8F5E9",
+  "#E3F2FD",
+  "#F3E5F5",
+  "#ECEFF1",
+  "#FFFDE7",
+];
+
+const MediaLink = ({ href, label, missing }) =>
+  href ? (
+    <a
+      href={href}
+      target="_blank"
+      rel="noopener noreferrer"
+      className="underline"
+      onClick={(e) => e.stopPropagation()}
+    >
+      {label}
+    </a>
+  ) : (
+    missing
+  );
+
+// Cells show values in the chosen language; sorting stays on the English values
+const renderCell = (column, row, context, { t, valueLabel, formatDay }) => {
+  const missing = t("common.notAvailable");
+  const value = column.valueOf(row, context);
+  switch (column.key) {
+    case "photo":
+      return <MediaLink href={row.media.photo} label={t("table.viewPhoto")} missing={missing} />;
+    case "video":
+      return <MediaLink href={row.media.video} label={t("table.viewVideo")} missing={missing} />;
+    case "qa":
+      return <QaBadge entry={context.timingAudit.get(row.id)} />;
+    case "date":
+      return value ? formatDay(value) : missing;
+    case "quantity":
+    case "setting":
+    case "clearance":
+      return value ? valueLabel(value) : missing;
+    case "wasteTypes":
+      return wasteTypesOf(row).map(valueLabel).join(", ") || missing;
+    default:
+      return value ?? missing;
+  }
+};
+
+// GVP table with search, sortable columns, pages and a column chooser. Rows are
+// selected with a click, ctrl/cmd-click or shift-click (see selection.js). The
+// search and sort are kept by the parent, which passes the `rows` they give out of
+// the `count` GVPs, so the detail drawer steps through the same order.
+const DataTable = ({
+  rows,
+  count,
+  query,
+  onQueryChange,
+  sort,
+  onSortChange,
+  onRowClick,
+  selectedIds,
+  onClearSelection,
+  timingAudit,
+  categoryRules,
+}) => {
+  const i18n = useI18n();
+  const { t } = i18n;
+  const [page, setPage] = useState(0);
+  const [visibleColumns, setVisibleColumns] = useState(loadVisibleColumns);
+
+  useEffect(() => {
+    saveVisibleColumns(visibleColumns);
+  }, [visibleColumns]);
+
+  const context = { timingAudit, categoryRules };
+  const pages = pageCount(rows.length);
+  // Filters can shrink the table below the page being shown
+  const currentPage = Math.min(page, pages - 1);
+  const pageRows = rows.slice(currentPage * PAGE_SIZE, (currentPage + 1) * PAGE_SIZE);
+  const columns = TABLE_COLUMNS.filter((column) => visibleColumns.includes(column.key));
+  const orderedIds = rows.map((row) => row.id);
+
+  if (count === 0) {
+    return (
+      <div className="bg-white p-6 rounded-lg shadow-lg text-center mt-6">
+        <p className="text-gray-500 italic">{t("table.empty")}</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="bg-white p-4 rounded-lg shadow-lg border border-gray-200 w-full h-full">
+      <h2 className="text-xl font-bold text-gray-800 mb-4">{t("table.title")}</h2>
+      <div className="flex gap-2 mb-2">
+        <input
+          type="search"
+          value={query}
+          onChange={(e) => {
+            onQueryChange(e.target.value);
+            setPage(0);
+          }}
+          placeholder={t("table.search")}
+          className="flex-1 p-2 border rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-yellow-500"
+        />
+        <details className="relative">
+          <summary className="cursor-pointer p-2 border rounded-lg text-sm text-gray-700 hover:bg-gray-100 list-none">
+            {t("table.columns")}
+          </summary>
+          <div className="absolute right-0 z-10 mt-1 w-48 bg-white border rounded-lg shadow-lg p-2">
+            {TABLE_COLUMNS.map((column) => (
+              <label key={column.key} className="flex items-center space-x-2 py-0.5 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={visibleColumns.includes(column.key)}
+                  disabled={visibleColumns.length === 1 && visibleColumns.includes(column.key)}
+                  onChange={() => setVisibleColumns((prev) => toggleColumn(prev, column.key))}
+                  className="form-checkbox h-4 w-4 text-yellow-500"
+                />
+                <span>{t(`table.columnLabels.${column.key}`)}</span>
+              </label>
+            ))}
+          </div>
+        </details>
+      </div>
+      <div className="overflow-auto h-[360px]">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50 sticky top-0">
+            <tr>
+              {columns.map((column) => (
+                <th
+                  key={column.key}
+                  onClick={() => {
+                    onSortChange(nextSort(sort, column.key));
+                    setPage(0);
+                  }}
+                  className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase cursor-pointer select-none whitespace-nowrap hover:text-gray-800"
+                  aria-sort={
+                    sort.key === column.key ? (sort.direction === "asc" ? "ascending" : "descending") : "none"
+                  }
+                >
+                  {t(`table.columnLabels.${column.key}`)}
+                  {sort.key === column.key && (sort.direction === "asc" ? " ▲" : " ▼")}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {pageRows.length === 0 && (
+              <tr>
+                <td colSpan={columns.length} className="px-4 py-6 text-center text-sm text-gray-500 italic">
+                  {t("table.noMatch")}
+                </td>
+              </tr>
+            )}
+            {pageRows.map((row, index) => (
+              <tr
+                key={row.id ?? index}
+                className="hover:bg-yellow-50/50 transition duration-150 cursor-pointer select-none"
+                style={{
+                  height: "40px",
+                  backgroundColor: selectedIds.includes(row.id)
+                    ? "#FFD54F"
+                    : rowColors[index % rowColors.length],
+                }}
+                aria-selected={selectedIds.includes(row.id)}
+                onClick={(e) => onRowClick(row, e, orderedIds)}
+              >
+                {columns.map((column) => (
+                  <td
+                    key={column.key}
+                    className={`px-4 text-sm ${
+                      column.key === "photo" || column.key === "video"
+                        ? "text-blue-600 hover:text-blue-800"
+                        : column.key === "ward"
+                        ? "font-medium text-gray-900"
+                        : "text-gray-700"
+                    }`}
+                  >
+                    {renderCell(column, row, context, i18n)}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      <div className="flex justify-between items-center mt-2 text-sm text-gray-600">
+        <span>
+          {t("table.count", { shown: rows.length, count })}
+          {selectedIds.length > 0 && (
+            <>
+              {", "}
+              {t("table.selected", { count: selectedIds.length })}{" "}
+              <button onClick={onClearSelection} className="text-yellow-600 hover:underline">
+                {t("table.clearSelection")}
+              </button>
+            </>
+          )}
+        </span>
+        <div className="flex items-center gap-2">
+          <button
+            onClick={() => setPage(currentPage - 1)}
+            disabled={currentPage === 0}
+            className="px-2 py-1 border rounded-lg hover:bg-gray-100 disabled:opacity-40"
+          >
+            {t("common.previous")}
+          </button>
+          <span>{t("table.page", { page: currentPage + 1, pages })}</span>
+          <button
+            onClick={() => setPage(currentPage + 1)}
+            disabled={currentPage >= pages - 1}
+            className="px-2 py-1 border rounded-lg hover:bg-gray-100 disabled:opacity-40"
+          >
+            {t("common.next")}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default DataTable;
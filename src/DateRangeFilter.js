@@ -0,0 +1,48 @@
+import React from "react";
+
+import { useI18n } from "./LanguageContext";
+
+// From / to date inputs for the survey date filter; empty inputs leave that end open
+const DateRangeFilter = ({ dateRange, minDay, maxDay, onChange }) => {
+  const { t } = useI18n();
+  const isActive = Boolean(dateRange.from || dateRange.to);
+
+  return (
+    <div className="bg-white p-4 rounded-lg shadow-lg border border-gray-200">
+      <h2 className="text-lg font-semibold text-gray-700 text-center mb-4">{t("dates.title")}</h2>
+      <div className="flex items-end gap-2">
+        <label className="flex-1 text-sm text-gray-600">
+          {t("dates.from")}
+          <input
+            type="date"
+            value={dateRange.from || ""}
+            min={minDay || undefined}
+            max={dateRange.to || maxDay || undefined}
+            onChange={(e) => onChange({ ...dateRange, from: e.target.value || null })}
+            className="w-full p-2 border rounded-lg shadow-sm focus:outline-none focus:ring-2 focus:ring-yellow-500"
+          />
+        </label>
+        <label className="flex-1 text-sm text-gray-600">
+          {t("dates.to")}
+          <input
+            type="date"
+            value={dateRange.to || ""}
+            min={dateRange.from || minDay || undefined}
+            max={maxDay || undefined}
+            onChange={(e) => onChange({ ...dateRange, to: e.target.value || null })}
+            className="w-full p-2 border rounded-lg shadow-sm focus:outline-none focus:ring-2 focus:ring-yellow-500"
+          />
+        </label>
+        <button
+          onClick={() => onChange({ from: null, to: null })}
+          disabled={!isActive}
+          className="px-3 py-2 rounded-lg border text-sm text-gray-700 hover:bg-gray-100 disabled:opacity-50"
+        >
+          {t("common.clear")}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default DateRangeFilter;
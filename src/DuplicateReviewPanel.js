@@ -0,0 +1,156 @@
+import React, { useState } from "react";
+
+import { choiceLabel } from "./choiceLabels";
+import { mergedInto } from "./duplicates";
+import { formatDistance } from "./geo";
+import { useI18n } from "./LanguageContext";
+import { volunteerName } from "./volunteers";
+
+const inputClasses =
+  "w-full p-2 border rounded-lg shadow-sm focus:outline-none focus:ring-2 focus:ring-yellow-500";
+
+const DuplicateGroup = ({ group, keptId, onMerge, onUndo, onDismiss }) => {
+  const { t, language, locale, formatDate } = useI18n();
+  const [choice, setChoice] = useState(group.members[0].id);
+  const isMerged = keptId !== null;
+
+  return (
+    <li className="border rounded-lg p-2">
+      <p className="text-xs text-gray-500 mb-1">
+        {t("duplicates.group", {
+          count: group.members.length,
+          distance: formatDistance(Math.max(...group.pairs.map((pair) => pair.distanceMetres)), locale),
+        })}
+      </p>
+      {group.members.map((row) => (
+        <label key={row.id} className="flex items-start gap-2 text-sm text-gray-700 py-0.5">
+          <input
+            type="radio"
+            name={`keep-${group.key}`}
+            checked={isMerged ? keptId === row.id : choice === row.id}
+            disabled={isMerged}
+            onChange={() => setChoice(row.id)}
+            className="mt-1"
+          />
+          <span className={isMerged && keptId !== row.id ? "line-through text-gray-400" : ""}>
+            <span className="font-medium">{row.nearestLocation || t("common.notAvailable")}</span>
+            {" · "}{t("common.ward", { ward: String(row.ward ?? t("common.notAvailable")) })}
+            {" · "}{volunteerName(row)}
+            {" · "}{row.submittedAt ? formatDate(row.submittedAt) : t("common.notAvailable")}
+            {" · "}{choiceLabel("waste_quantity", row.quantity, language) || t("common.notAvailable")}
+          </span>
+        </label>
+      ))}
+      <div className="flex gap-2 mt-2">
+        {isMerged ? (
+          <button
+            onClick={() => onUndo(group)}
+            className="flex-1 px-2 py-1 rounded-lg border text-sm text-gray-700 hover:bg-gray-100"
+          >
+            {t("duplicates.undo")}
+          </button>
+        ) : (
+          <>
+            <button
+              onClick={() => onMerge(group, choice)}
+              className="flex-1 px-2 py-1 rounded-lg border text-sm bg-yellow-500 border-yellow-500 font-semibold text-white"
+            >
+              {t("duplicates.merge")}
+            </button>
+            <button
+              onClick={() => onDismiss(group)}
+              className="flex-1 px-2 py-1 rounded-lg border text-sm text-gray-700 hover:bg-gray-100"
+            >
+              {t("duplicates.dismiss")}
+            </button>
+          </>
+        )}
+      </div>
+    </li>
+  );
+};
+
+// Candidate duplicate GVPs found by proximity and location text, for a reviewer to resolve
+const DuplicateReviewPanel = ({
+  groups,
+  reviews,
+  settings,
+  onSettingsChange,
+  onMerge,
+  onUndo,
+  onDismiss,
+  onResetDismissed,
+}) => {
+  const { t } = useI18n();
+  const visibleGroups = groups.filter((group) => !reviews.dismissed.includes(group.key));
+  const mergedCount = visibleGroups.filter((group) => mergedInto(reviews, group) !== null).length;
+  const dismissedCount = groups.length - visibleGroups.length;
+
+  const handleNumberChange = (key, max = Infinity) => (e) => {
+    const value = Number(e.target.value);
+    if (Number.isFinite(value) && value >= 0 && value <= max) {
+      onSettingsChange({ ...settings, [key]: value });
+    }
+  };
+
+  return (
+    <div className="bg-white p-4 rounded-lg shadow-lg border border-gray-200">
+      <h2 className="text-lg font-semibold text-gray-700 text-center mb-4">{t("duplicates.title")}</h2>
+      <p className="text-sm text-gray-600 mb-3">
+        {t("duplicates.summary", {
+          review: visibleGroups.length - mergedCount,
+          merged: mergedCount,
+          dismissed: dismissedCount,
+        })}
+        {dismissedCount > 0 && (
+          <button onClick={onResetDismissed} className="ml-2 text-yellow-600 hover:underline">
+            {t("duplicates.restore")}
+          </button>
+        )}
+      </p>
+      <div className="flex gap-2 mb-3">
+        <label className="flex-1 text-sm text-gray-600">
+          {t("duplicates.maxDistance")}
+          <input
+            type="number"
+            min="0"
+            step="5"
+            value={settings.maxDistanceMetres}
+            onChange={handleNumberChange("maxDistanceMetres")}
+            className={inputClasses}
+          />
+        </label>
+        <label className="flex-1 text-sm text-gray-600" title={t("duplicates.similarityHint")}>
+          {t("duplicates.minSimilarity")}
+          <input
+            type="number"
+            min="0"
+            max="1"
+            step="0.05"
+            value={settings.minTextSimilarity}
+            onChange={handleNumberChange("minTextSimilarity", 1)}
+            className={inputClasses}
+          />
+        </label>
+      </div>
+      {visibleGroups.length === 0 ? (
+        <p className="text-gray-500 italic text-center">{t("duplicates.none")}</p>
+      ) : (
+        <ul className="flex flex-col gap-2 overflow-y-auto max-h-[400px]">
+          {visibleGroups.map((group) => (
+            <DuplicateGroup
+              key={group.key}
+              group={group}
+              keptId={mergedInto(reviews, group)}
+              onMerge={onMerge}
+              onUndo={onUndo}
+              onDismiss={onDismiss}
+            />
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default DuplicateReviewPanel;
@@ -0,0 +1,97 @@
+import React from "react";
+
+import {
+  activeFilterCount,
+  EMPTY_ATTRIBUTE_FILTER,
+  FILTER_COMBINATIONS,
+  FILTER_DIMENSIONS,
+  toggleFilterValue,
+} from "./attributeFilters";
+import { useI18n } from "./LanguageContext";
+
+const toggleButtonClasses = (isActive) =>
+  `flex-1 px-2 py-1 rounded-lg border text-sm ${
+    isActive ? "bg-yellow-500 border-yellow-500 font-semibold text-white" : "text-gray-700 hover:bg-gray-100"
+  }`;
+
+// Survey answer filters with live counts; see attributeFilters.js for how they combine
+const FilterSidebar = ({ filter, counts, onChange }) => {
+  const { t, formatNumber, valueLabel } = useI18n();
+  const activeCount = activeFilterCount(filter);
+
+  return (
+    <div className="bg-white p-4 rounded-lg shadow-lg border border-gray-200">
+      <h2 className="text-lg font-semibold text-gray-700 text-center mb-4">{t("filters.title")}</h2>
+      <div className="flex gap-2 mb-2">
+        {FILTER_COMBINATIONS.map((combine) => (
+          <button
+            key={combine}
+            onClick={() => onChange({ ...filter, combine })}
+            className={toggleButtonClasses(filter.combine === combine)}
+          >
+            {t(`filters.combine.${combine}`)}
+          </button>
+        ))}
+      </div>
+      <div className="flex justify-between items-center text-sm text-gray-600 mb-2">
+        <span>{t("filters.selectedCount", { count: activeCount })}</span>
+        {activeCount > 0 && (
+          <button onClick={() => onChange(EMPTY_ATTRIBUTE_FILTER)} className="text-yellow-600 hover:underline">
+            {t("filters.clear")}
+          </button>
+        )}
+      </div>
+      <div className="overflow-y-auto max-h-[500px] divide-y divide-gray-100">
+        {FILTER_DIMENSIONS.map((dimension) => {
+          const selected = filter.selections[dimension.key] || [];
+          return (
+            <details key={dimension.key} open={selected.length > 0} className="py-2">
+              <summary className="cursor-pointer text-sm font-medium text-gray-700">
+                {t(`filters.dimensions.${dimension.key}`)}
+                {selected.length > 0 && ` (${formatNumber(selected.length)})`}
+              </summary>
+              {dimension.multiple && (
+                <div className="flex gap-2 text-xs text-gray-600 mt-1">
+                  {t("filters.recordsWith")}
+                  {[false, true].map((matchAll) => (
+                    <label key={String(matchAll)} className="flex items-center gap-1">
+                      <input
+                        type="radio"
+                        name={`match-${dimension.key}`}
+                        checked={Boolean(filter.matchAll[dimension.key]) === matchAll}
+                        onChange={() =>
+                          onChange({ ...filter, matchAll: { ...filter.matchAll, [dimension.key]: matchAll } })
+                        }
+                      />
+                      {matchAll ? t("filters.all") : t("filters.any")}
+                    </label>
+                  ))}
+                  {t("filters.selected")}
+                </div>
+              )}
+              {counts[dimension.key].map(({ value, count }) => (
+                <label
+                  key={value}
+                  className={`flex items-center space-x-2 py-0.5 text-sm cursor-pointer ${
+                    count === 0 && !selected.includes(value) ? "text-gray-400" : "text-gray-700"
+                  }`}
+                >
+                  <input
+                    type="checkbox"
+                    checked={selected.includes(value)}
+                    onChange={() => onChange(toggleFilterValue(filter, dimension.key, value))}
+                    className="form-checkbox h-4 w-4 text-yellow-500"
+                  />
+                  <span className="flex-1">{valueLabel(value)}</span>
+                  <span className="text-gray-500">{formatNumber(count)}</span>
+                </label>
+              ))}
+            </details>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default FilterSidebar;
@@ -0,0 +1,266 @@
+import React, { useEffect, useRef, useState } from "react";
+
+import { choiceLabel, choiceLabels, yesNoLabel } from "./choiceLabels";
+import { describePrecision, isUncertainLocation } from "./gpsPrecision";
+import { HAZARDOUS_WASTE_COLUMNS } from "./heatmap";
+import MediaGallery from "./MediaGallery";
+import { PROBLEM_COLUMNS, REASON_COLUMNS, WASTE_TYPE_COLUMNS } from "./normalize";
+import { useI18n } from "./LanguageContext";
+import QaBadge from "./QaBadge";
+import { interviewDurationMinutes } from "./volunteers";
+
+const isEmpty = (value) =>
+  value === null || value === undefined || value === false || value === "";
+
+// One labelled value; left out when there is nothing to show
+const Field = ({ label, children }) =>
+  isEmpty(children) ? null : (
+    <div className="py-1">
+      <dt className="text-xs font-medium text-gray-500">{label}</dt>
+      <dd className="text-sm text-gray-800">{children}</dd>
+    </div>
+  );
+
+const YesNo = ({ flag }) => {
+  const { language } = useI18n();
+
+  return (
+    <span
+      className={`inline-block px-2 py-0.5 rounded-full text-xs font-semibold ${
+        flag ? "bg-green-100 text-green-800" : "bg-gray-100 text-gray-700"
+      }`}
+    >
+      {yesNoLabel(flag, language)}
+    </span>
+  );
+};
+
+// Ticked checkbox columns plus any free-text answer
+const tickedLabels = (flags, columns, other) =>
+  [...columns.filter((column) => flags[column]), other].filter(Boolean);
+
+// Answers as badges; hazardous waste types stand out
+const Badges = ({ labels }) => {
+  const { t, valueLabel } = useI18n();
+
+  return labels.length === 0 ? (
+    <p className="text-sm text-gray-500 italic">{t("drawer.noneReported")}</p>
+  ) : (
+    <ul className="flex flex-wrap gap-1 mt-1">
+      {labels.map((label) => (
+        <li
+          key={label}
+          className={`px-2 py-0.5 rounded-full text-xs border ${
+            HAZARDOUS_WASTE_COLUMNS.includes(label)
+              ? "bg-red-50 border-red-300 text-red-800"
+              : "bg-yellow-50 border-yellow-300 text-gray-800"
+          }`}
+        >
+          {HAZARDOUS_WASTE_COLUMNS.includes(label) && <span aria-hidden="true">⚠ </span>}
+          {valueLabel(label)}
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+const Section = ({ id, icon, title, children }) => (
+  <section aria-labelledby={id} className="py-3 border-b border-gray-100">
+    <h3 id={id} className="text-sm font-semibold text-gray-700 uppercase tracking-wider mb-1">
+      <span aria-hidden="true">{icon} </span>
+      {title}
+    </h3>
+    {children}
+  </section>
+);
+
+// Details of the selected GVP in a side drawer. ←/→ step to the previous or next GVP,
+// Esc closes it.
+const GvpDetailDrawer = ({ row, position, count, onStep, onClose, timingAudit, precisionThreshold }) => {
+  const i18n = useI18n();
+  const { t, language, formatNumber, formatDateTime } = i18n;
+  const drawerRef = useRef(null);
+  const contentRef = useRef(null);
+  const [copyState, setCopyState] = useState(null);
+
+  // Focus moves into the drawer when it opens, so the arrow keys step through GVPs
+  useEffect(() => {
+    drawerRef.current.focus();
+  }, []);
+
+  useEffect(() => {
+    setCopyState(null);
+  }, [row.id]);
+
+  const audit = timingAudit.get(row.id);
+  const duration = interviewDurationMinutes(row);
+  const isUncertain = isUncertainLocation(row, precisionThreshold);
+  const people = [
+    row.women && t("drawer.women", { count: row.women }),
+    row.men && t("drawer.men", { count: row.men }),
+  ].filter(Boolean);
+  const formatTime = (date) => (date ? formatDateTime(date) : null);
+  const formatMinutes = (minutes) =>
+    formatNumber(minutes, { style: "unit", unit: "minute", minimumFractionDigits: 1, maximumFractionDigits: 1 });
+  const wasteTypes = tickedLabels(row.wasteTypes, WASTE_TYPE_COLUMNS, row.otherWaste);
+
+  const handleCopy = () => {
+    const text = contentRef.current ? contentRef.current.innerText : "";
+    if (!navigator.clipboard) {
+      setCopyState("copyFallback");
+      return;
+    }
+    navigator.clipboard
+      .writeText(text)
+      .then(() => setCopyState("copied"))
+      .catch(() => setCopyState("copyFallback"));
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.target.tagName === "VIDEO" || e.target.tagName === "INPUT") return;
+    if (e.key === "ArrowLeft") onStep(-1);
+    if (e.key === "ArrowRight") onStep(1);
+    if (e.key === "Escape") onClose();
+  };
+
+  return (
+    <aside
+      ref={drawerRef}
+      aria-labelledby="gvp-drawer-title"
+      tabIndex={-1}
+      onKeyDown={handleKeyDown}
+      className="fixed top-0 right-0 z-[1500] h-full w-[420px] max-w-full bg-white shadow-2xl border-l border-gray-200 flex flex-col focus:outline-none"
+    >
+      <header className="p-4 border-b border-gray-200">
+        <div className="flex justify-between items-start gap-2">
+          <div>
+            <h2 id="gvp-drawer-title" className="text-lg font-semibold text-gray-800">
+              {row.nearestLocation || t("map.unnamedLocation")}
+            </h2>
+            <p className="text-sm text-gray-500" aria-live="polite">
+              {/* No position while the table search hides the GVP */}
+              {[
+                row.ward !== null && t("common.ward", { ward: String(row.ward) }),
+                position > 0 && t("drawer.position", { position, count }),
+              ]
+                .filter(Boolean)
+                .join(" · ")}
+            </p>
+          </div>
+          <button
+            onClick={onClose}
+            aria-label={t("drawer.close")}
+            className="px-2 py-1 rounded-lg text-gray-600 hover:bg-gray-100"
+          >
+            ✕
+          </button>
+        </div>
+        <div className="flex justify-between items-center mt-3 text-sm">
+          <button
+            onClick={() => onStep(-1)}
+            disabled={position <= 1}
+            className="px-2 py-1 border rounded-lg text-gray-700 hover:bg-gray-100 disabled:opacity-40"
+          >
+            ‹ {t("drawer.previous")}
+          </button>
+          <button onClick={handleCopy} className="text-yellow-600 hover:underline">
+            {t(`drawer.${copyState || "copy"}`)}
+          </button>
+          <button
+            onClick={() => onStep(1)}
+            disabled={position >= count}
+            className="px-2 py-1 border rounded-lg text-gray-700 hover:bg-gray-100 disabled:opacity-40"
+          >
+            {t("drawer.next")} ›
+          </button>
+        </div>
+      </header>
+
+      <div ref={contentRef} className="flex-1 overflow-y-auto px-4 select-text">
+        <Section id="gvp-drawer-gvp" icon="🟢" title={t("drawer.sections.gvp")}>
+          <dl>
+            <Field label={t("drawer.fields.ward")}>{row.ward}</Field>
+            <Field label={t("drawer.fields.nearestLocation")}>{row.nearestLocation}</Field>
+            <Field label={t("drawer.fields.area")}>{row.area}</Field>
+            <Field label={t("drawer.fields.setting")}>{choiceLabel("gvp_setting", row.setting, language)}</Field>
+            <Field label={t("drawer.fields.quantity")}>{choiceLabel("waste_quantity", row.quantity, language)}</Field>
+            <Field label={t("drawer.fields.wasteTypes")}>{wasteTypes.length > 0 && <Badges labels={wasteTypes} />}</Field>
+            <Field label={t("drawer.fields.comments")}>{row.comments}</Field>
+          </dl>
+        </Section>
+
+        <Section id="gvp-drawer-interaction" icon="🔵" title={t("drawer.sections.interaction")}>
+          <dl>
+            <Field label={t("drawer.fields.interaction")}>{choiceLabel("interaction_type", row.interactionMode, language)}</Field>
+            <Field label={t("drawer.fields.interviewLocation")}>{row.interactionLocationName}</Field>
+            <Field label={t("drawer.fields.interviewees")}>{people.join(", ")}</Field>
+            <Field label={t("drawer.fields.ages")}>{row.ages.join(", ")}</Field>
+            <Field label={t("drawer.fields.noticeFrequency")}>{choiceLabel("notice_frequency", row.noticeFrequency, language)}</Field>
+            <Field label={t("drawer.fields.whoDisposes")}>{row.whoDispose && i18n.valueLabel(row.whoDispose)}</Field>
+            <Field label={t("drawer.fields.disposeWhere")}>{choiceLabels("dispose_where", row.disposeWhere, language).join(", ")}</Field>
+            <Field label={t("drawer.fields.clearsOff")}>
+              {row.clearsOff !== null && <YesNo flag={row.clearsOff} />}
+            </Field>
+            <Field label={t("drawer.fields.clearedWhen")}>{choiceLabel("clearance_frequency", row.clearedWhen, language)}</Field>
+            <Field label={t("drawer.fields.civicSession")}>{row.civicSession}</Field>
+            <Field label={t("drawer.fields.complained")}>
+              {row.complained !== null && <YesNo flag={row.complained} />}
+            </Field>
+            <Field label={t("drawer.fields.experience")}>{row.experience}</Field>
+            <Field label={t("drawer.fields.solution")}>{row.solution && i18n.valueLabel(row.solution)}</Field>
+            <Field label={t("drawer.fields.cleanupWilling")}>
+              {row.cleanupWilling !== null && <YesNo flag={row.cleanupWilling} />}
+            </Field>
+          </dl>
+        </Section>
+
+        <Section id="gvp-drawer-reasons" icon="🟠" title={t("drawer.sections.reasons")}>
+          <Badges labels={tickedLabels(row.reasons, REASON_COLUMNS)} />
+        </Section>
+
+        <Section id="gvp-drawer-problems" icon="🔴" title={t("drawer.sections.problems")}>
+          <Badges labels={tickedLabels(row.problems, PROBLEM_COLUMNS, row.otherProblem)} />
+        </Section>
+
+        <Section id="gvp-drawer-media" icon="📷" title={t("drawer.sections.media")}>
+          <MediaGallery row={row} onStepGvp={onStep} />
+        </Section>
+
+        <Section id="gvp-drawer-metadata" icon="🗂" title={t("drawer.sections.metadata")}>
+          <dl>
+            <Field label={t("drawer.fields.volunteer")}>{row.volunteer}</Field>
+            <Field label={t("drawer.fields.started")}>{formatTime(row.start)}</Field>
+            <Field label={t("drawer.fields.ended")}>
+              {formatTime(row.end) &&
+                `${formatTime(row.end)}${duration !== null ? ` (${formatMinutes(duration)})` : ""}`}
+            </Field>
+            <Field label={t("drawer.fields.submitted")}>{formatTime(row.submittedAt)}</Field>
+            <Field label={t("drawer.fields.gpsLocation")}>
+              {row.location && `${row.location.lat.toFixed(6)}, ${row.location.lng.toFixed(6)}`}
+            </Field>
+            <Field label={t("drawer.fields.gpsPrecision")}>
+              {row.location && (
+                <span className={isUncertain ? "text-orange-700" : undefined}>
+                  {isUncertain && <span aria-hidden="true">⚠ </span>}
+                  {describePrecision(row, i18n)}
+                  {isUncertain && ` ${t("gps.uncertain")}`}
+                </span>
+              )}
+            </Field>
+            <Field label={t("drawer.fields.timingQa")}>
+              {audit && (
+                <>
+                  <QaBadge entry={audit} />{" "}
+                  {audit.flags.map((flag) => t(`qa.flags.${flag}`)).join(", ")}
+                </>
+              )}
+            </Field>
+            <Field label={t("drawer.fields.recordId")}>{row.id}</Field>
+          </dl>
+        </Section>
+      </div>
+    </aside>
+  );
+};
+
+export default GvpDetailDrawer;
@@ -0,0 +1,22 @@
+import { useEffect } from "react";
+import { useMap } from "react-leaflet";
+import L from "leaflet";
+import "leaflet.heat";
+
+// leaflet.heat overlay for [lat, lng, intensity] points, intensities between 0 and 1.
+// The layer is re-created when the points change: it draws them as it is added,
+// whereas setLatLngs schedules a redraw frame that would outlive its removal.
+const HeatmapLayer = ({ points }) => {
+  const map = useMap();
+
+  useEffect(() => {
+    const layer = L.heatLayer(points, { radius: 30, blur: 20, maxZoom: 16, max: 1 }).addTo(map);
+    return () => {
+      map.removeLayer(layer);
+    };
+  }, [map, points]);
+
+  return null;
+};
+
+export default HeatmapLayer;
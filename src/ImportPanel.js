@@ -0,0 +1,137 @@
+import React, { useState } from "react";
+
+import { importKoboFile } from "./koboImport";
+import { useI18n } from "./LanguageContext";
+import { normalizeRecords } from "./normalize";
+
+const ACCEPTED_FILES = ".xlsx,.xls,.csv";
+
+// Drag-and-drop import of a KoboToolbox XLSX / CSV export with a preview
+const ImportPanel = ({ onImport }) => {
+  const { t } = useI18n();
+  const [isDragging, setIsDragging] = useState(false);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [preview, setPreview] = useState(null);
+
+  const handleFile = async (file) => {
+    if (!file) return;
+    setIsLoading(true);
+    setError(null);
+    setPreview(null);
+    try {
+      const result = await importKoboFile(file);
+      const records = normalizeRecords(result.rows);
+      const wards = Array.from(
+        new Set(records.map((row) => row.ward).filter((ward) => ward !== null))
+      ).sort((a, b) => a - b);
+      setPreview({ ...result, records, wards });
+    } catch (err) {
+      setError(err.message || t("import.readError"));
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setIsDragging(false);
+    handleFile(e.dataTransfer.files[0]);
+  };
+
+  const handleConfirm = () => {
+    onImport(preview.records);
+    setPreview(null);
+  };
+
+  return (
+    <div className="bg-white p-4 rounded-lg shadow-lg border border-gray-200">
+      <h2 className="text-lg font-semibold text-gray-700 text-center mb-4">{t("import.title")}</h2>
+      <label
+        onDragOver={(e) => {
+          e.preventDefault();
+          setIsDragging(true);
+        }}
+        onDragLeave={() => setIsDragging(false)}
+        onDrop={handleDrop}
+        className={`flex flex-col items-center justify-center p-6 border-2 border-dashed rounded-lg cursor-pointer text-sm text-gray-600 ${
+          isDragging ? "border-yellow-500 bg-yellow-50" : "border-gray-300"
+        }`}
+      >
+        <span>{t("import.drop")}</span>
+        <input
+          type="file"
+          accept={ACCEPTED_FILES}
+          className="hidden"
+          onChange={(e) => {
+            handleFile(e.target.files[0]);
+            e.target.value = "";
+          }}
+        />
+      </label>
+
+      {isLoading && <p className="mt-3 text-sm text-gray-500 italic">{t("import.reading")}</p>}
+      {error && <p className="mt-3 text-sm text-red-600">{error}</p>}
+
+      {preview && (
+        <div className="mt-4">
+          <p className="text-sm text-gray-700">
+            <span className="font-semibold">{preview.fileName}</span>:{" "}
+            {t("import.summary", {
+              records: t("import.records", { count: preview.records.length }),
+              columns: t("import.columns", { count: preview.columnCount }),
+              wards: preview.wards.join(", ") || t("common.notAvailable"),
+            })}
+          </p>
+          {preview.withoutCoordinates > 0 && (
+            <p className="text-sm text-orange-600">
+              {t("import.withoutCoordinates", { count: preview.withoutCoordinates })}
+            </p>
+          )}
+          <div className="overflow-x-auto mt-2 max-h-48">
+            <table className="min-w-full divide-y divide-gray-200 text-sm">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-2 py-1 text-left text-xs font-medium text-gray-500 uppercase">
+                    {t("import.ward")}
+                  </th>
+                  <th className="px-2 py-1 text-left text-xs font-medium text-gray-500 uppercase">
+                    {t("import.nearestLocation")}
+                  </th>
+                  <th className="px-2 py-1 text-left text-xs font-medium text-gray-500 uppercase">
+                    {t("import.volunteer")}
+                  </th>
+                </tr>
+              </thead>
+              <tbody>
+                {preview.records.slice(0, 5).map((row, index) => (
+                  <tr key={row.id || index}>
+                    <td className="px-2 py-1">{row.ward ?? t("common.notAvailable")}</td>
+                    <td className="px-2 py-1">{row.nearestLocation || t("common.notAvailable")}</td>
+                    <td className="px-2 py-1">{row.volunteer || t("common.notAvailable")}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <div className="flex gap-2 mt-3 justify-end">
+            <button
+              onClick={() => setPreview(null)}
+              className="px-3 py-1 rounded-lg border text-sm text-gray-700 hover:bg-gray-100"
+            >
+              {t("common.cancel")}
+            </button>
+            <button
+              onClick={handleConfirm}
+              className="px-3 py-1 rounded-lg bg-yellow-500 text-sm font-semibold text-white hover:bg-yellow-600"
+            >
+              {t("import.replace")}
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ImportPanel;
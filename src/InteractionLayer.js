@@ -0,0 +1,53 @@
+import React from "react";
+import { CircleMarker, Polyline, Tooltip as LeafletTooltip } from "react-leaflet";
+
+import { choiceLabel } from "./choiceLabels";
+import { formatDistance } from "./geo";
+import { interviewDistanceMetres, isFarInterview } from "./interactions";
+import { useI18n } from "./LanguageContext";
+
+const NEAR_COLOR = "#7C3AED";
+const FAR_COLOR = "#DB2777";
+
+// Interview locations joined to their GVP by a line labeled with the distance
+const InteractionLayer = ({ rows, thresholdMetres }) => {
+  const { t, language, locale } = useI18n();
+
+  return rows
+    .filter((row) => interviewDistanceMetres(row) !== null)
+    .map((row) => {
+      const { lat, lng } = row.interactionLocation;
+      const color = isFarInterview(row, thresholdMetres) ? FAR_COLOR : NEAR_COLOR;
+      return (
+        <React.Fragment key={`interaction-${row.id}`}>
+          <Polyline
+            positions={[
+              [row.location.lat, row.location.lng],
+              [lat, lng],
+            ]}
+            pathOptions={{ color, weight: 2, dashArray: "4 4" }}
+          >
+            <LeafletTooltip permanent direction="center" className="gvp-distance-label">
+              {formatDistance(interviewDistanceMetres(row), locale)}
+            </LeafletTooltip>
+          </Polyline>
+          <CircleMarker
+            center={[lat, lng]}
+            radius={6}
+            pathOptions={{ color: "#ffffff", weight: 2, fillColor: color, fillOpacity: 1 }}
+          >
+            <LeafletTooltip direction="top">
+              {t("map.interview", { location: row.interactionLocationName || t("common.notAvailable") })}
+              <br />
+              {t("map.interviewDistance", {
+                mode: choiceLabel("interaction_type", row.interactionMode, language) || t("common.notAvailable"),
+                distance: formatDistance(interviewDistanceMetres(row), locale),
+              })}
+            </LeafletTooltip>
+          </CircleMarker>
+        </React.Fragment>
+      );
+    });
+};
+
+export default InteractionLayer;
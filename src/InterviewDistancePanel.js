@@ -0,0 +1,54 @@
+import React from "react";
+
+import { formatDistance } from "./geo";
+import { INTERVIEW_DISTANCE_FILTERS } from "./interactions";
+import { useI18n } from "./LanguageContext";
+
+// Filter on how far from the GVP the citizen interview was held
+const InterviewDistancePanel = ({ filter, onChange, farCount, locatedCount }) => {
+  const { t, locale } = useI18n();
+
+  return (
+    <div className="bg-white p-4 rounded-lg shadow-lg border border-gray-200">
+      <h2 className="text-lg font-semibold text-gray-700 text-center mb-4">{t("interviews.title")}</h2>
+      <p className="text-sm text-gray-600 mb-3">
+        {t("interviews.summary", {
+          far: farCount,
+          count: locatedCount,
+          distance: formatDistance(filter.thresholdMetres, locale),
+        })}
+      </p>
+      <label className="block text-sm text-gray-600 mb-3">
+        {t("interviews.threshold")}
+        <input
+          type="number"
+          min="0"
+          step="50"
+          value={filter.thresholdMetres}
+          onChange={(e) => {
+            const value = Number(e.target.value);
+            if (Number.isFinite(value) && value >= 0) onChange({ ...filter, thresholdMetres: value });
+          }}
+          className="w-full p-2 border rounded-lg shadow-sm focus:outline-none focus:ring-2 focus:ring-yellow-500"
+        />
+      </label>
+      <div className="flex gap-2">
+        {INTERVIEW_DISTANCE_FILTERS.map((mode) => (
+          <button
+            key={mode}
+            onClick={() => onChange({ ...filter, mode })}
+            className={`flex-1 px-2 py-1 rounded-lg border text-sm ${
+              filter.mode === mode
+                ? "bg-yellow-500 border-yellow-500 font-semibold text-white"
+                : "text-gray-700 hover:bg-gray-100"
+            }`}
+          >
+            {t(`interviews.filters.${mode}`)}
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default InterviewDistancePanel;
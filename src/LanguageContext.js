@@ -0,0 +1,23 @@
+import React, { createContext, useContext, useEffect, useMemo, useState } from "react";
+
+import { createI18n, DEFAULT_LANGUAGE, loadLanguage, saveLanguage } from "./i18n";
+
+// English until a LanguageProvider is mounted above, e.g. in component tests
+const LanguageContext = createContext({ ...createI18n(DEFAULT_LANGUAGE), setLanguage: () => {} });
+
+// Holds the chosen language, kept in localStorage between sessions
+export const LanguageProvider = ({ children }) => {
+  const [language, setLanguage] = useState(loadLanguage);
+
+  useEffect(() => {
+    saveLanguage(language);
+    document.documentElement.lang = language;
+  }, [language]);
+
+  const value = useMemo(() => ({ ...createI18n(language), setLanguage }), [language]);
+
+  return <LanguageContext.Provider value={value}>{children}</LanguageContext.Provider>;
+};
+
+// { language, setLanguage, t, formatNumber, ... } (see i18n.js)
+export const useI18n = () => useContext(LanguageContext);
@@ -0,0 +1,28 @@
+import React from "react";
+
+import { LANGUAGES } from "./i18n";
+import { useI18n } from "./LanguageContext";
+
+const LanguageSwitcher = () => {
+  const { language, setLanguage, t } = useI18n();
+
+  return (
+    <label className="flex items-center gap-2 text-sm text-gray-700">
+      <span aria-hidden="true">🌐</span>
+      <span className="sr-only">{t("app.language")}</span>
+      <select
+        value={language}
+        onChange={(e) => setLanguage(e.target.value)}
+        className="p-1 border rounded-lg shadow-sm bg-white focus:outline-none focus:ring-2 focus:ring-yellow-500"
+      >
+        {Object.entries(LANGUAGES).map(([code, { name }]) => (
+          <option key={code} value={code} lang={code}>
+            {name}
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+};
+
+export default LanguageSwitcher;
@@ -0,0 +1,115 @@
+import React from "react";
+
+import { HEATMAP_WEIGHTS } from "./heatmap";
+import { useI18n } from "./LanguageContext";
+import { MARKER_COLOR_MODES } from "./markerStyles";
+import { WARD_METRICS } from "./wardBoundaries";
+
+const checkboxClasses = "form-checkbox h-4 w-4 text-yellow-500";
+const inputClasses =
+  "p-1 border rounded-lg shadow-sm bg-white focus:outline-none focus:ring-2 focus:ring-yellow-500";
+
+// Map display options: marker coloring and optional layers
+const MapControls = ({ options, onChange, uncertainCount }) => {
+  const { t } = useI18n();
+
+  return (
+    <div className="flex flex-wrap justify-end items-center gap-x-4 gap-y-2 mb-2 text-sm text-gray-700">
+      <label className="flex items-center gap-2">
+        {t("map.shadeWardsBy")}
+        <select
+          value={options.wardMetric}
+          onChange={(e) => onChange({ wardMetric: e.target.value })}
+          className={inputClasses}
+        >
+          {WARD_METRICS.map((value) => (
+            <option key={value} value={value}>
+              {t(`map.wardMetrics.${value}`)}
+            </option>
+          ))}
+          <option value="none">{t("map.hideWards")}</option>
+        </select>
+      </label>
+      <label className="flex items-center gap-2">
+        {t("map.colorMarkersBy")}
+        <select
+          value={options.colorMode}
+          onChange={(e) => onChange({ colorMode: e.target.value })}
+          className={inputClasses}
+        >
+          {MARKER_COLOR_MODES.map((value) => (
+            <option key={value} value={value}>
+              {t(`map.colorModes.${value}`)}
+            </option>
+          ))}
+        </select>
+      </label>
+      <label className="flex items-center gap-2">
+        <input
+          type="checkbox"
+          checked={options.showHeatmap}
+          onChange={(e) => onChange({ showHeatmap: e.target.checked })}
+          className={checkboxClasses}
+        />
+        {t("map.heatmap")}
+      </label>
+      {options.showHeatmap && (
+        <select
+          value={options.heatmapWeight}
+          onChange={(e) => onChange({ heatmapWeight: e.target.value })}
+          className={inputClasses}
+          aria-label={t("map.heatmapWeight")}
+        >
+          {HEATMAP_WEIGHTS.map((value) => (
+            <option key={value} value={value}>
+              {t(`map.heatmapWeights.${value}`)}
+            </option>
+          ))}
+        </select>
+      )}
+      <label className="flex items-center gap-2">
+        <input
+          type="checkbox"
+          checked={options.showInteractions}
+          onChange={(e) => onChange({ showInteractions: e.target.checked })}
+          className={checkboxClasses}
+        />
+        {t("map.interviewLocations")}
+      </label>
+      <label className="flex items-center gap-2">
+        <input
+          type="checkbox"
+          checked={options.showAccuracyCircles}
+          onChange={(e) => onChange({ showAccuracyCircles: e.target.checked })}
+          className={checkboxClasses}
+        />
+        {t("map.accuracyCircles")}
+      </label>
+      <label className="flex items-center gap-2">
+        {t("map.uncertainAbove")}
+        <input
+          type="number"
+          min="1"
+          value={options.precisionThreshold}
+          onChange={(e) => {
+            const value = Number(e.target.value);
+            if (Number.isFinite(value) && value > 0) onChange({ precisionThreshold: value });
+          }}
+          className={`${inputClasses} w-20`}
+        />
+        {t("map.metres")}
+      </label>
+      <label className="flex items-center gap-2" title={t("map.uncertainHint")}>
+        <input
+          type="checkbox"
+          checked={options.hideUncertain}
+          onChange={(e) => onChange({ hideUncertain: e.target.checked })}
+          className={checkboxClasses}
+        />
+        {t("map.hideUncertain", { count: uncertainCount })}
+      </label>
+    </div>
+  );
+};
+
+export default MapControls;
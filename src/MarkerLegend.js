@@ -0,0 +1,30 @@
+import React from "react";
+
+import { useI18n } from "./LanguageContext";
+
+// Map legend for the current "color markers by" mode, listing the categories on the map
+const MarkerLegend = ({ title, entries }) => {
+  const { t, formatNumber, valueLabel } = useI18n();
+
+  return (
+    <div className="absolute bottom-6 right-2 z-[1000] bg-white/90 rounded-lg shadow p-2 text-xs text-gray-700 max-h-48 overflow-y-auto">
+      <div className="font-semibold mb-1">{title}</div>
+      {entries.length === 0 ? (
+        <div className="italic text-gray-500">{t("map.noMarkers")}</div>
+      ) : (
+        entries.map(({ label, count, color }) => (
+          <div key={label} className="flex items-center gap-2">
+            <span
+              className="inline-block h-3 w-3 rounded-full border border-white shadow-sm"
+              style={{ backgroundColor: color }}
+            />
+            <span className="flex-1">{valueLabel(label)}</span>
+            <span className="text-gray-500">{formatNumber(count)}</span>
+          </div>
+        ))
+      )}
+    </div>
+  );
+};
+
+export default MarkerLegend;
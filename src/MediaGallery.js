@@ -0,0 +1,188 @@
+import React, { useEffect, useState } from "react";
+
+import { useI18n } from "./LanguageContext";
+import { mediaItems, thumbnailUrl } from "./media";
+
+// Kobo attachments need a signed-in session, so failed loads link out instead
+const MediaFallback = ({ item }) => {
+  const { t } = useI18n();
+
+  return (
+    <div className="flex flex-col items-center justify-center h-full p-2 bg-gray-100 rounded text-xs text-gray-500 text-center">
+      <span>{t("media.couldNotLoad", { label: t(`media.labels.${item.key}`) })}</span>
+      <a
+        href={item.url}
+        target="_blank"
+        rel="noopener noreferrer"
+        className="mt-1 text-blue-600 underline"
+      >
+        {t("media.openInNewTab")}
+      </a>
+    </div>
+  );
+};
+
+const Lightbox = ({ photos, index, failedUrls, onFailed, onMove, onStepGvp, onClose }) => {
+  const { t } = useI18n();
+  const photo = photos[index];
+  const label = t(`media.labels.${photo.key}`);
+
+  // ←/→ move between photos, ↑/↓ between GVPs, Esc closes. Caught before it reaches
+  // the page, so the keys don't also act on the drawer behind the lightbox.
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      const actions = {
+        ArrowLeft: () => onMove(-1),
+        ArrowRight: () => onMove(1),
+        ArrowUp: () => onStepGvp(-1),
+        ArrowDown: () => onStepGvp(1),
+        Escape: onClose,
+      };
+      if (actions[e.key]) {
+        e.preventDefault();
+        e.stopPropagation();
+        actions[e.key]();
+      }
+    };
+    window.addEventListener("keydown", handleKeyDown, true);
+    return () => {
+      window.removeEventListener("keydown", handleKeyDown, true);
+    };
+  }, [onMove, onStepGvp, onClose]);
+
+  return (
+    <div
+      role="dialog"
+      aria-modal="true"
+      aria-label={label}
+      className="fixed inset-0 z-[2000] bg-black/80 flex flex-col items-center justify-center p-6"
+      onClick={onClose}
+    >
+      <div
+        className="max-w-4xl w-full flex-1 flex items-center justify-center"
+        onClick={(e) => e.stopPropagation()}
+      >
+        {failedUrls.includes(photo.url) ? (
+          <div className="w-80 h-48">
+            <MediaFallback item={photo} />
+          </div>
+        ) : (
+          <img
+            src={photo.url}
+            alt={label}
+            onError={() => onFailed(photo.url)}
+            className="max-h-[80vh] max-w-full object-contain rounded"
+          />
+        )}
+      </div>
+      <div
+        className="flex items-center gap-4 mt-4 text-white text-sm"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <button
+          onClick={() => onMove(-1)}
+          disabled={photos.length < 2}
+          className="px-3 py-1 rounded bg-white/20 hover:bg-white/30 disabled:opacity-40"
+        >
+          ‹ {t("common.previous")}
+        </button>
+        <span>{t("media.position", { label, index: index + 1, count: photos.length })}</span>
+        <button
+          onClick={() => onMove(1)}
+          disabled={photos.length < 2}
+          className="px-3 py-1 rounded bg-white/20 hover:bg-white/30 disabled:opacity-40"
+        >
+          {t("common.next")} ›
+        </button>
+        <button onClick={onClose} className="px-3 py-1 rounded bg-white/20 hover:bg-white/30">
+          {t("common.close")}
+        </button>
+      </div>
+      <p className="mt-2 text-xs text-gray-300">{t("media.keys")}</p>
+    </div>
+  );
+};
+
+// Thumbnails of a GVP's photos, opening in a lightbox, and its video
+const MediaGallery = ({ row, onStepGvp }) => {
+  const { t } = useI18n();
+  const [openIndex, setOpenIndex] = useState(null);
+  const [failedUrls, setFailedUrls] = useState([]);
+
+  const items = mediaItems(row);
+  const photos = items.filter((item) => item.kind === "photo");
+  const videos = items.filter((item) => item.kind === "video");
+
+  // Stepping to another GVP in the lightbox shows its first photo, or closes it
+  const photoCount = photos.length;
+  useEffect(() => {
+    setOpenIndex((prev) => (prev === null || photoCount === 0 ? null : 0));
+  }, [row.id, photoCount]);
+
+  const handleFailed = (url) =>
+    setFailedUrls((prev) => (prev.includes(url) ? prev : [...prev, url]));
+
+  return (
+    <div>
+      {items.length === 0 && (
+        <p className="text-sm text-gray-500 italic text-center">{t("media.none")}</p>
+      )}
+      {photos.length > 0 && (
+        <div className="grid grid-cols-3 gap-2">
+          {photos.map((photo, index) =>
+            failedUrls.includes(photo.url) ? (
+              <div key={photo.key} className="h-24">
+                <MediaFallback item={photo} />
+              </div>
+            ) : (
+              <button
+                key={photo.key}
+                onClick={() => setOpenIndex(index)}
+                title={t(`media.labels.${photo.key}`)}
+                className="h-24 rounded overflow-hidden border border-gray-200 hover:ring-2 hover:ring-yellow-500"
+              >
+                <img
+                  src={thumbnailUrl(photo.url)}
+                  alt={t(`media.labels.${photo.key}`)}
+                  loading="lazy"
+                  onError={() => handleFailed(photo.url)}
+                  className="w-full h-full object-cover"
+                />
+              </button>
+            )
+          )}
+        </div>
+      )}
+      {videos.map((video) => (
+        <div key={video.key} className="mt-3 h-48">
+          {failedUrls.includes(video.url) ? (
+            <MediaFallback item={video} />
+          ) : (
+            <video
+              src={video.url}
+              controls
+              preload="metadata"
+              onError={() => handleFailed(video.url)}
+              className="w-full h-full rounded bg-black"
+            >
+              <track kind="captions" />
+            </video>
+          )}
+        </div>
+      ))}
+      {openIndex !== null && photos[openIndex] && (
+        <Lightbox
+          photos={photos}
+          index={openIndex}
+          failedUrls={failedUrls}
+          onFailed={handleFailed}
+          onMove={(step) => setOpenIndex((prev) => (prev + step + photos.length) % photos.length)}
+          onStepGvp={onStepGvp}
+          onClose={() => setOpenIndex(null)}
+        />
+      )}
+    </div>
+  );
+};
+
+export default MediaGallery;
@@ -0,0 +1,36 @@
+import React from "react";
+
+import { useI18n } from "./LanguageContext";
+
+// QA badge for a row's timing audit result
+const QaBadge = ({ entry }) => {
+  const { t, formatNumber } = useI18n();
+  if (!entry) return t("common.notAvailable");
+  const minutes = (value) =>
+    formatNumber(value, { style: "unit", unit: "minute", minimumFractionDigits: 1, maximumFractionDigits: 1 });
+  const duration =
+    entry.durationMinutes !== null ? t("qa.interview", { duration: minutes(entry.durationMinutes) }) : "";
+  const gap =
+    entry.gapMinutes !== null ? t("qa.sincePrevious", { duration: minutes(entry.gapMinutes) }) : "";
+  const details = [...entry.flags.map((flag) => t(`qa.flags.${flag}`)), duration, gap]
+    .filter(Boolean)
+    .join("\n");
+
+  return entry.flags.length > 0 ? (
+    <span
+      title={details}
+      className="inline-block px-2 py-0.5 rounded-full text-xs font-semibold bg-red-100 text-red-800"
+    >
+      ⚠ {entry.flags.length}
+    </span>
+  ) : (
+    <span
+      title={details}
+      className="inline-block px-2 py-0.5 rounded-full text-xs font-semibold bg-green-100 text-green-800"
+    >
+      {t("qa.ok")}
+    </span>
+  );
+};
+
+export default QaBadge;
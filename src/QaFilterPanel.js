@@ -0,0 +1,69 @@
+import React from "react";
+
+import { useI18n } from "./LanguageContext";
+import { QA_FILTERS } from "./timingAudit";
+
+// Timing audit thresholds and the filter that drops (or isolates) flagged submissions
+const QaFilterPanel = ({ settings, onSettingsChange, qaFilter, onQaFilterChange, flaggedCount }) => {
+  const { t } = useI18n();
+
+  // A cleared field means no threshold rather than 0
+  const handleNumberChange = (key) => (e) => {
+    if (e.target.value === "") {
+      onSettingsChange({ ...settings, [key]: null });
+      return;
+    }
+    const value = Number(e.target.value);
+    if (Number.isFinite(value) && value >= 0) {
+      onSettingsChange({ ...settings, [key]: value });
+    }
+  };
+
+  return (
+    <div className="bg-white p-4 rounded-lg shadow-lg border border-gray-200">
+      <h2 className="text-lg font-semibold text-gray-700 text-center mb-4">{t("qa.title")}</h2>
+      <p className="text-sm text-gray-600 mb-3">{t("qa.flagged", { count: flaggedCount })}</p>
+      <div className="flex gap-2 mb-3">
+        <label className="flex-1 text-sm text-gray-600">
+          {t("qa.minDuration")}
+          <input
+            type="number"
+            min="0"
+            step="0.5"
+            value={settings.minDurationMinutes ?? ""}
+            onChange={handleNumberChange("minDurationMinutes")}
+            className="w-full p-2 border rounded-lg shadow-sm focus:outline-none focus:ring-2 focus:ring-yellow-500"
+          />
+        </label>
+        <label className="flex-1 text-sm text-gray-600">
+          {t("qa.maxDelay")}
+          <input
+            type="number"
+            min="0"
+            step="1"
+            value={settings.maxSubmissionDelayHours ?? ""}
+            onChange={handleNumberChange("maxSubmissionDelayHours")}
+            className="w-full p-2 border rounded-lg shadow-sm focus:outline-none focus:ring-2 focus:ring-yellow-500"
+          />
+        </label>
+      </div>
+      <div className="flex gap-2">
+        {QA_FILTERS.map((value) => (
+          <button
+            key={value}
+            onClick={() => onQaFilterChange(value)}
+            className={`flex-1 px-2 py-1 rounded-lg border text-sm ${
+              qaFilter === value
+                ? "bg-yellow-500 border-yellow-500 font-semibold text-white"
+                : "text-gray-700 hover:bg-gray-100"
+            }`}
+          >
+            {t(`qa.filters.${value}`)}
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default QaFilterPanel;
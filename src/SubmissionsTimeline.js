@@ -0,0 +1,76 @@
+import React from "react";
+import {
+  BarChart,
+  Bar,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+  Brush,
+  ResponsiveContainer,
+} from "recharts";
+
+import { NO_WARD, timelineRangeIndices } from "./dates";
+import { useI18n } from "./LanguageContext";
+
+const NO_WARD_COLOR = "#9CA3AF";
+
+// Daily submissions stacked by ward; brushing a range sets the survey date filter
+const SubmissionsTimeline = ({ data, wards, getWardColor, dateRange, onRangeChange }) => {
+  const { t, formatDay, formatNumber } = useI18n();
+  if (data.length === 0) return null;
+
+  const formatShortDay = (day) => formatDay(day, { day: "numeric", month: "short" });
+  const series = NO_WARD in data[0] ? [...wards, NO_WARD] : wards;
+  const seriesLabel = (ward) => (ward === NO_WARD ? t("common.noWard") : t("common.ward", { ward }));
+  const { startIndex, endIndex } = timelineRangeIndices(data, dateRange);
+
+  const handleBrushChange = ({ startIndex: start, endIndex: end }) => {
+    if (start === undefined || end === undefined) return;
+    // The full extent means "no date filter"
+    onRangeChange({
+      from: start === 0 ? null : data[start].day,
+      to: end === data.length - 1 ? null : data[end].day,
+    });
+  };
+
+  return (
+    <div className="w-full bg-white p-4 rounded-lg shadow-lg border border-gray-200 mt-4">
+      <h2 className="text-lg font-semibold text-gray-700 text-center mb-4">
+        {t("charts.timeline")}
+      </h2>
+      <ResponsiveContainer width="100%" height={260}>
+        <BarChart data={data} margin={{ top: 10, right: 30, left: 0, bottom: 10 }}>
+          <CartesianGrid strokeDasharray="3 3" />
+          <XAxis dataKey="day" tick={{ fontSize: 12 }} tickFormatter={formatShortDay} />
+          <YAxis allowDecimals={false} tickFormatter={(value) => formatNumber(value)} />
+          <Tooltip
+            labelFormatter={(day) => formatDay(day)}
+            formatter={(value, ward) => [formatNumber(value), seriesLabel(ward)]}
+          />
+          <Legend formatter={seriesLabel} />
+          {series.map((ward) => (
+            <Bar
+              key={ward}
+              dataKey={ward}
+              stackId="wards"
+              fill={ward === NO_WARD ? NO_WARD_COLOR : getWardColor(ward)}
+            />
+          ))}
+          <Brush
+            dataKey="day"
+            height={24}
+            tickFormatter={formatShortDay}
+            stroke="#EAB308"
+            startIndex={startIndex}
+            endIndex={endIndex}
+            onChange={handleBrushChange}
+          />
+        </BarChart>
+      </ResponsiveContainer>
+    </div>
+  );
+};
+
+export default SubmissionsTimeline;
@@ -0,0 +1,50 @@
+import React from "react";
+
+import { useI18n } from "./LanguageContext";
+
+// Online / offline indicator with the last sync time and, for incremental
+// sources, a manual sync button
+const SyncStatus = ({ isOnline, syncState, canSync, onSync }) => {
+  const { t, formatDateTime } = useI18n();
+  const isCached = syncState.origin === "cache";
+  const formatTime = (time) => (time ? formatDateTime(new Date(time)) : t("sync.never"));
+
+  return (
+    <div className="flex flex-wrap items-center justify-center gap-3 mb-6 text-sm text-gray-600">
+      <span
+        className={`inline-flex items-center gap-1 px-2 py-0.5 rounded-full font-semibold ${
+          isOnline ? "bg-green-100 text-green-800" : "bg-red-100 text-red-800"
+        }`}
+      >
+        <span
+          className={`h-2 w-2 rounded-full ${isOnline ? "bg-green-500" : "bg-red-500"}`}
+        />
+        {isOnline ? t("sync.online") : t("sync.offline")}
+      </span>
+      <span>
+        {t("sync.lastSynced", { time: formatTime(syncState.lastSyncedAt) })}
+        {isCached && ` ${t("sync.showingCached")}`}
+        {syncState.origin === "import" && ` ${t("sync.importedFile")}`}
+      </span>
+      {syncState.lastSubmissionTime && (
+        <span>{t("sync.latestSubmission", { time: formatTime(syncState.lastSubmissionTime) })}</span>
+      )}
+      {canSync && (
+        <button
+          onClick={onSync}
+          disabled={!isOnline || syncState.status === "syncing"}
+          className="px-3 py-1 rounded-lg bg-yellow-500 font-semibold text-white hover:bg-yellow-600 disabled:opacity-50"
+        >
+          {syncState.status === "syncing" ? t("sync.syncing") : t("sync.syncNow")}
+        </button>
+      )}
+      {syncState.error && (
+        <span className="text-red-600">
+          {isCached ? t("sync.couldNotRefresh", { error: syncState.error }) : syncState.error}
+        </span>
+      )}
+    </div>
+  );
+};
+
+export default SyncStatus;
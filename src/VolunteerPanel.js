@@ -0,0 +1,74 @@
+import React from "react";
+
+import { useI18n } from "./LanguageContext";
+import { splitDuration } from "./volunteers";
+
+// Per-volunteer submissions, ward coverage, active days and median interview time
+const VolunteerPanel = ({ stats, volunteerColors, showColors }) => {
+  const { t, formatNumber } = useI18n();
+
+  const formatDuration = (minutes) => {
+    if (minutes === null) return t("common.notAvailable");
+    const format = (value, unit) =>
+      formatNumber(value, { style: "unit", unit, maximumFractionDigits: 0 });
+    const duration = splitDuration(minutes);
+    if (duration.hours === 0) return format(duration.minutes, "minute");
+    return `${format(duration.hours, "hour")} ${format(duration.minutes, "minute")}`;
+  };
+
+  return (
+    <div className="w-full bg-white p-4 rounded-lg shadow-lg border border-gray-200">
+      <h2 className="text-lg font-semibold text-gray-700 text-center mb-4">{t("volunteers.title")}</h2>
+      {stats.length === 0 ? (
+        <p className="text-gray-500 italic text-center">{t("volunteers.empty")}</p>
+      ) : (
+        <div className="overflow-y-auto max-h-[400px]">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50 sticky top-0">
+              <tr>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">
+                  {t("volunteers.volunteer")}
+                </th>
+                <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">
+                  {t("volunteers.submissions")}
+                </th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">
+                  {t("volunteers.wards")}
+                </th>
+                <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">
+                  {t("volunteers.activeDays")}
+                </th>
+                <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">
+                  {t("volunteers.medianInterview")}
+                </th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {stats.map((volunteer) => (
+                <tr key={volunteer.name} className="text-sm text-gray-700">
+                  <td className="px-4 py-2 font-medium text-gray-900">
+                    {showColors && (
+                      <span
+                        className="inline-block h-3 w-3 rounded-full mr-2 align-middle"
+                        style={{ backgroundColor: volunteerColors[volunteer.name] }}
+                      />
+                    )}
+                    {volunteer.name}
+                  </td>
+                  <td className="px-4 py-2 text-right">{formatNumber(volunteer.submissions)}</td>
+                  <td className="px-4 py-2">{volunteer.wards.join(", ") || t("common.notAvailable")}</td>
+                  <td className="px-4 py-2 text-right">{formatNumber(volunteer.activeDays)}</td>
+                  <td className="px-4 py-2 text-right">
+                    {formatDuration(volunteer.medianDurationMinutes)}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default VolunteerPanel;
@@ -0,0 +1,67 @@
+import React from "react";
+import { Polygon, Tooltip as LeafletTooltip } from "react-leaflet";
+
+import { useI18n } from "./LanguageContext";
+import {
+  choroplethColor,
+  CHOROPLETH_SHADES,
+  formatWardMetric,
+  NO_DATA_COLOR,
+  toLatLngs,
+} from "./wardBoundaries";
+
+// Ward polygons shaded by the chosen metric; clicking one toggles it in the ward filter
+const WardChoropleth = ({ boundaries, metrics, metric, selectedWards, onToggleWard }) => {
+  const { t, locale } = useI18n();
+  const formatValue = (value) =>
+    value === null ? t("common.notAvailable") : formatWardMetric(metric, value, locale);
+  const values = boundaries.map(({ ward }) => (metrics[ward] ? metrics[ward][metric] : null));
+  const max = Math.max(0, ...values.filter((value) => value !== null));
+
+  return (
+    <>
+      {boundaries.map(({ ward, name, geometry }, idx) => {
+        const value = values[idx];
+        const isSelected = selectedWards.includes(ward);
+        const isDimmed = selectedWards.length > 0 && !isSelected;
+        return (
+          <Polygon
+            key={ward}
+            positions={toLatLngs(geometry)}
+            pathOptions={{
+              color: isSelected ? "#1F2937" : "#6B7280",
+              weight: isSelected ? 3 : 1,
+              fillColor: choroplethColor(value, max),
+              fillOpacity: isDimmed ? 0.15 : 0.45,
+            }}
+            eventHandlers={{ click: () => onToggleWard(ward) }}
+          >
+            <LeafletTooltip sticky>
+              <strong>{name}</strong>
+              <br />
+              {t(`map.wardMetrics.${metric}`)}: {formatValue(value)}
+              <br />
+              <em>{isSelected ? t("map.removeWard") : t("map.addWard")}</em>
+            </LeafletTooltip>
+          </Polygon>
+        );
+      })}
+      <div className="absolute bottom-6 left-2 z-[1000] bg-white/90 rounded-lg shadow p-2 text-xs text-gray-700">
+        <div className="font-semibold mb-1">{t(`map.wardMetrics.${metric}`)}</div>
+        <div className="flex items-center gap-1">
+          <span>{formatValue(0)}</span>
+          {CHOROPLETH_SHADES.map((color) => (
+            <span key={color} className="inline-block h-3 w-4" style={{ backgroundColor: color }} />
+          ))}
+          <span>{formatValue(max)}</span>
+        </div>
+        <div className="flex items-center gap-1 mt-1">
+          <span className="inline-block h-3 w-4" style={{ backgroundColor: NO_DATA_COLOR }} />
+          <span>{t("map.noData")}</span>
+        </div>
+      </div>
+    </>
+  );
+};
+
+export default WardChoropleth;
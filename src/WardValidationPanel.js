@@ -0,0 +1,74 @@
+import React from "react";
+
+import { formatDistance } from "./geo";
+import { useI18n } from "./LanguageContext";
+import { volunteerName } from "./volunteers";
+
+// Records whose coordinates fall outside their declared ward, with the ward they fall in;
+// without official boundaries (source null) nothing is checked
+const WardValidationPanel = ({ source, mismatches, corrections, onAccept, onUndo }) => {
+  const { t, locale } = useI18n();
+  const describeOffset = (metres) =>
+    metres !== null
+      ? t("wardCheck.outside", { distance: formatDistance(metres, locale) })
+      : t("wardCheck.noBoundary");
+  const acceptedCount = mismatches.filter(({ row }) => corrections[row.id] !== undefined).length;
+
+  return (
+    <div className="bg-white p-4 rounded-lg shadow-lg border border-gray-200">
+      <h2 className="text-lg font-semibold text-gray-700 text-center mb-4">{t("wardCheck.title")}</h2>
+      {source === null ? (
+        <p className="text-sm text-gray-600">{t("wardCheck.needsOfficial")}</p>
+      ) : (
+        <>
+          <p className="text-sm text-gray-600 mb-1">
+            {t("wardCheck.summary", { count: mismatches.length, corrected: acceptedCount })}
+          </p>
+          <p className="text-xs text-gray-500 mb-3">{t("wardCheck.source", { source })}</p>
+        </>
+      )}
+      {mismatches.length > 0 && (
+        <ul className="flex flex-col gap-2 overflow-y-auto max-h-[400px]">
+          {mismatches.map(({ row, declaredWard, suggestedWard, distanceMetres }) => {
+            const isAccepted = corrections[row.id] !== undefined;
+            return (
+              <li key={row.id} className="border rounded-lg p-2 text-sm text-gray-700">
+                <div className="font-medium">{row.nearestLocation || t("common.notAvailable")}</div>
+                <div className="text-xs text-gray-500">{volunteerName(row)}</div>
+                <div className="mt-1">
+                  {t("wardCheck.mismatch", {
+                    ward: String(declaredWard),
+                    offset: describeOffset(distanceMetres),
+                    location:
+                      suggestedWard !== null
+                        ? t("wardCheck.locatedIn", { ward: String(suggestedWard) })
+                        : t("wardCheck.outsideAll"),
+                  })}
+                </div>
+                {isAccepted ? (
+                  <button
+                    onClick={() => onUndo(row)}
+                    className="mt-2 w-full px-2 py-1 rounded-lg border text-sm text-gray-700 hover:bg-gray-100"
+                  >
+                    {t("wardCheck.undo", { ward: String(corrections[row.id]) })}
+                  </button>
+                ) : (
+                  suggestedWard !== null && (
+                    <button
+                      onClick={() => onAccept(row, suggestedWard)}
+                      className="mt-2 w-full px-2 py-1 rounded-lg border text-sm bg-yellow-500 border-yellow-500 font-semibold text-white"
+                    >
+                      {t("wardCheck.move", { ward: String(suggestedWard) })}
+                    </button>
+                  )
+                )}
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default WardValidationPanel;
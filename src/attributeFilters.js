@@ -0,0 +1,154 @@
+// Attribute filters over survey answers. Each dimension lists the values a record
+// has; a record matches a dimension when it has any (or, for multi-valued
+// dimensions set to "all", every) selected value, and the dimensions combine with
+// AND or OR. categoryRules are the current keyword rules (see categories.js); left
+// out, the bundled ones are used.
+
+import { categorizeLocation, categoryNames, wasteTypeToColumnMap } from "./categories";
+import { choiceLabels, choiceOptions, yesNoLabel } from "./choiceLabels";
+import { QUANTITY_BANDS, quantityBand } from "./markerStyles";
+import { PROBLEM_COLUMNS, REASON_COLUMNS } from "./normalize";
+
+export const FILTER_COMBINATIONS = ["and", "or"];
+
+export const EMPTY_ATTRIBUTE_FILTER = { combine: "and", selections: {}, matchAll: {} };
+
+const NOT_ANSWERED = "Not answered";
+
+const YES_NO_OPTIONS = [yesNoLabel(true), yesNoLabel(false), NOT_ANSWERED];
+
+const answerOf = (flag) => yesNoLabel(flag) || NOT_ANSWERED;
+
+const tickedColumns = (flags, columns) => columns.filter((column) => flags[column] === true);
+
+// "Where Interviewee Dispose Their Waste" holds choice codes, or labels when typed in
+export const disposeWhereValues = (row) => choiceLabels("dispose_where", row.disposeWhere);
+
+// { key, valuesOf(row, categoryRules) -> [value], options (display order) or
+// optionsOf(categoryRules), multiple }
+export const FILTER_DIMENSIONS = [
+  {
+    key: "wasteType",
+    multiple: true,
+    options: Object.keys(wasteTypeToColumnMap),
+    valuesOf: (row) =>
+      Object.entries(wasteTypeToColumnMap)
+        .filter(([, column]) => row.wasteTypes[column] === true)
+        .map(([type]) => type),
+  },
+  {
+    key: "quantity",
+    options: QUANTITY_BANDS.map(({ label }) => label),
+    valuesOf: (row) => [quantityBand(row)],
+  },
+  {
+    key: "setting",
+    optionsOf: (categoryRules) => categoryNames("setting", categoryRules),
+    valuesOf: (row, categoryRules) => [categorizeLocation(row.setting, categoryRules)],
+  },
+  {
+    key: "problems",
+    multiple: true,
+    options: PROBLEM_COLUMNS,
+    valuesOf: (row) => tickedColumns(row.problems, PROBLEM_COLUMNS),
+  },
+  {
+    key: "reasons",
+    multiple: true,
+    options: REASON_COLUMNS,
+    valuesOf: (row) => tickedColumns(row.reasons, REASON_COLUMNS),
+  },
+  {
+    key: "clearsOff",
+    options: YES_NO_OPTIONS,
+    valuesOf: (row) => [answerOf(row.clearsOff)],
+  },
+  {
+    key: "complained",
+    options: YES_NO_OPTIONS,
+    valuesOf: (row) => [answerOf(row.complained)],
+  },
+  {
+    key: "disposeWhere",
+    multiple: true,
+    options: choiceOptions("dispose_where"),
+    valuesOf: disposeWhereValues,
+  },
+];
+
+const activeDimensions = (filter) =>
+  FILTER_DIMENSIONS.filter(({ key }) => (filter.selections[key] || []).length > 0);
+
+export const activeFilterCount = (filter) =>
+  activeDimensions(filter).reduce((sum, { key }) => sum + filter.selections[key].length, 0);
+
+const matchesDimension = (row, dimension, filter, categoryRules) => {
+  const values = dimension.valuesOf(row, categoryRules);
+  const selected = filter.selections[dimension.key];
+  return filter.matchAll[dimension.key]
+    ? selected.every((value) => values.includes(value))
+    : selected.some((value) => values.includes(value));
+};
+
+const matchesDimensions = (row, dimensions, filter, categoryRules) => {
+  if (dimensions.length === 0) return true;
+  return filter.combine === "or"
+    ? dimensions.some((dimension) => matchesDimension(row, dimension, filter, categoryRules))
+    : dimensions.every((dimension) => matchesDimension(row, dimension, filter, categoryRules));
+};
+
+export const matchesAttributeFilter = (row, filter, categoryRules) =>
+  matchesDimensions(row, activeDimensions(filter), filter, categoryRules);
+
+// Live counts per dimension value: with AND, the records that have the value and
+// match the other dimensions' filters; with OR, the records that have the value.
+// { [dimension key]: [{ value, count }] }, the dimension's options first.
+export const countFilterOptions = (data, filter, categoryRules) => {
+  const active = activeDimensions(filter);
+  return Object.fromEntries(
+    FILTER_DIMENSIONS.map((dimension) => {
+      const others = active.filter(({ key }) => key !== dimension.key);
+      const rows =
+        filter.combine === "and"
+          ? data.filter((row) => matchesDimensions(row, others, filter, categoryRules))
+          : data;
+      const selected = filter.selections[dimension.key] || [];
+      const options = dimension.optionsOf ? dimension.optionsOf(categoryRules) : dimension.options;
+      const counts = new Map([...options, ...selected].map((value) => [value, 0]));
+      rows.forEach((row) =>
+        dimension
+          .valuesOf(row, categoryRules)
+          .forEach((value) => counts.set(value, (counts.get(value) || 0) + 1))
+      );
+      return [dimension.key, Array.from(counts, ([value, count]) => ({ value, count }))];
+    })
+  );
+};
+
+export const toggleFilterValue = (filter, key, value) => {
+  const selected = filter.selections[key] || [];
+  return {
+    ...filter,
+    selections: {
+      ...filter.selections,
+      [key]: selected.includes(value) ? selected.filter((v) => v !== value) : [...selected, value],
+    },
+  };
+};
+
+// Chart cross-filters, set by clicking a bar or pie slice: [{ key, value }] naming a
+// dimension value; a record has to have every one of them.
+const dimensionOf = (key) => FILTER_DIMENSIONS.find((dimension) => dimension.key === key);
+
+export const isCrossFiltered = (crossFilters, key, value) =>
+  crossFilters.some((filter) => filter.key === key && filter.value === value);
+
+export const toggleCrossFilter = (crossFilters, key, value) =>
+  isCrossFiltered(crossFilters, key, value)
+    ? crossFilters.filter((filter) => !(filter.key === key && filter.value === value))
+    : [...crossFilters, { key, value }];
+
+export const matchesCrossFilters = (row, crossFilters, categoryRules) =>
+  crossFilters.every(({ key, value }) =>
+    dimensionOf(key).valuesOf(row, categoryRules).includes(value)
+  );
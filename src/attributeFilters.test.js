@@ -0,0 +1,83 @@
+import {
+  activeFilterCount,
+  countFilterOptions,
+  disposeWhereValues,
+  EMPTY_ATTRIBUTE_FILTER,
+  matchesAttributeFilter,
+  matchesCrossFilters,
+  toggleCrossFilter,
+  toggleFilterValue,
+} from "./attributeFilters";
+
+const row = (id, { plastic = false, organic = false, setting = "colony", clearsOff = null } = {}) => ({
+  id,
+  wasteTypes: { "Plastic Paper Glass Waste": plastic, "Organic and Wet Waste": organic },
+  quantity: "below_500_kg",
+  setting,
+  problems: {},
+  reasons: {},
+  clearsOff,
+  complained: null,
+  disposeWhere: null,
+});
+
+const data = [
+  row("a", { plastic: true, clearsOff: false }),
+  row("b", { plastic: true, organic: true, clearsOff: true }),
+  row("c", { organic: true, setting: "market", clearsOff: false }),
+];
+
+const ids = (filter) => data.filter((r) => matchesAttributeFilter(r, filter)).map((r) => r.id);
+
+test("combines dimensions with AND or OR", () => {
+  let filter = toggleFilterValue(EMPTY_ATTRIBUTE_FILTER, "wasteType", "Plastic Paper");
+  filter = toggleFilterValue(filter, "clearsOff", "No");
+
+  expect(activeFilterCount(filter)).toBe(2);
+  expect(ids(EMPTY_ATTRIBUTE_FILTER)).toEqual(["a", "b", "c"]);
+  expect(ids(filter)).toEqual(["a"]);
+  expect(ids({ ...filter, combine: "or" })).toEqual(["a", "b", "c"]);
+  expect(ids(toggleFilterValue(filter, "clearsOff", "No"))).toEqual(["a", "b"]);
+});
+
+test("matches any or all selected values within a dimension", () => {
+  let filter = toggleFilterValue(EMPTY_ATTRIBUTE_FILTER, "wasteType", "Plastic Paper");
+  filter = toggleFilterValue(filter, "wasteType", "Organic & Wet");
+
+  expect(ids(filter)).toEqual(["a", "b", "c"]);
+  expect(ids({ ...filter, matchAll: { wasteType: true } })).toEqual(["b"]);
+});
+
+test("counts values among records matching the other dimensions", () => {
+  const filter = toggleFilterValue(EMPTY_ATTRIBUTE_FILTER, "setting", "Residential Area");
+  const counts = countFilterOptions(data, filter);
+  const countOf = (key, value) => counts[key].find((option) => option.value === value).count;
+
+  expect(countOf("wasteType", "Organic & Wet")).toBe(1);
+  expect(countOf("wasteType", "Clothes")).toBe(0);
+  expect(countOf("setting", "Market / Commercial Area")).toBe(1);
+  expect(countOf("clearsOff", "Yes")).toBe(1);
+  expect(countFilterOptions(data, { ...filter, combine: "or" }).wasteType[0]).toEqual({
+    value: "Organic & Wet",
+    count: 2,
+  });
+});
+
+test("splits free-text disposal answers into choices", () => {
+  expect(disposeWhereValues({ disposeWhere: "Collection Vehicle , Open Area" })).toEqual([
+    "Collection vehicle",
+    "Open area",
+  ]);
+  expect(disposeWhereValues({ disposeWhere: null })).toEqual([]);
+});
+
+test("applies every chart cross-filter", () => {
+  let crossFilters = toggleCrossFilter([], "wasteType", "Organic & Wet");
+  const crossIds = () => data.filter((r) => matchesCrossFilters(r, crossFilters)).map((r) => r.id);
+
+  expect(crossIds()).toEqual(["b", "c"]);
+  crossFilters = toggleCrossFilter(crossFilters, "wasteType", "Plastic Paper");
+  expect(crossIds()).toEqual(["b"]);
+  crossFilters = toggleCrossFilter(crossFilters, "wasteType", "Organic & Wet");
+  expect(crossIds()).toEqual(["a", "b"]);
+});
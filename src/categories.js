@@ -0,0 +1,242 @@
+// Category tables for the dashboard: chart labels for the waste type columns and the
+// keyword rules that group free-text survey answers. The rules are categoryRules.json,
+// a versioned file analysts can edit in the dashboard (see CategoryRulesEditor.js);
+// saved edits are kept in localStorage together with the version of the file they
+// were made on.
+
+import DEFAULT_CATEGORY_RULES from "./categoryRules.json";
+import { readLocal, writeLocal } from "./localStore";
+
+export { DEFAULT_CATEGORY_RULES };
+
+const RULES_STORAGE_KEY = "gvp-dashboard.categoryRules";
+
+// Waste Type Map
+export const wasteTypeToColumnMap = {
+  "Organic & Wet": "Organic and Wet Waste",
+  "Plastic Paper": "Plastic Paper Glass Waste",
+  "Sanitary & Hazardous": "Sanitary and Hazardous Waste",
+  "Battery & Bulb": "Battery and Bulb Waste",
+  "Construction & Demolition": "Construction and Demolition Waste",
+  Clothes: "Clothes Waste",
+  Carcasses: "Carcasses Waste",
+  Others: "Others",
+};
+
+// The free-text answers each rule set groups
+export const RULE_SET_ANSWERS = {
+  whoDispose: (row) => row.whoDisposeParts,
+  setting: (row) => (row.setting ? [row.setting] : []),
+  solution: (row) => row.solutionParts,
+};
+
+export const RULE_SET_KEYS = Object.keys(RULE_SET_ANSWERS);
+
+// Category names of a rule set, in matching order
+export const categoryNames = (setKey, rules = DEFAULT_CATEGORY_RULES) =>
+  rules.ruleSets[setKey].categories.map(({ category }) => category);
+
+const toMatchText = (text) => (typeof text === "string" ? text.toLowerCase().trim() : "");
+
+// Keywords this short only match as whole words, so "N" stands for the answer "N"
+// rather than every answer with an "n" in it
+export const WHOLE_WORD_KEYWORD_LENGTH = 2;
+
+const NOT_WORD = "[^\\p{L}\\p{M}\\p{N}]";
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const containsKeyword = (answer, keyword) => {
+  const matchText = toMatchText(keyword);
+  if (matchText === "") return false;
+  if (matchText.length > WHOLE_WORD_KEYWORD_LENGTH) return answer.includes(matchText);
+  return new RegExp(`(^|${NOT_WORD})${escapeRegExp(matchText)}($|${NOT_WORD})`, "u").test(answer);
+};
+
+// The first category with a keyword the answer contains, ignoring case; the rule
+// set's fallback when none does or the answer is blank (null for solutions, which
+// leaves the answer out of the chart)
+export const categorizeAnswer = (setKey, text, rules = DEFAULT_CATEGORY_RULES) => {
+  const { fallback, categories } = rules.ruleSets[setKey];
+  const answer = toMatchText(text);
+  if (answer === "") return fallback;
+  const match = categories.find(({ keywords }) =>
+    keywords.some((keyword) => containsKeyword(answer, keyword))
+  );
+  return match ? match.category : fallback;
+};
+
+// "Who Dispose" answers
+export const categorize = (text, rules) => categorizeAnswer("whoDispose", text, rules);
+
+// "In what setting is the GVP present"
+export const categorizeLocation = (text, rules) => categorizeAnswer("setting", text, rules);
+
+// "Solution Suggested by Interviewee"
+export const categorizeSolution = (text, rules) => categorizeAnswer("solution", text, rules);
+
+// Errors of the rules file carry the key of a rules.errors message as their message,
+// so the editor can show them in the chosen language, and its placeholder values
+const rulesError = (key, values = {}) => {
+  const err = new Error(`rules.errors.${key}`);
+  err.values = values;
+  return err;
+};
+
+// Throws on rules the dashboard could not use, e.g. an imported file of another kind
+export const validateCategoryRules = (rules) => {
+  if (!rules || typeof rules !== "object" || !rules.ruleSets) {
+    throw rulesError("notRules");
+  }
+  if (!Number.isInteger(rules.version) || rules.version < 1) {
+    throw rulesError("noVersion");
+  }
+  RULE_SET_KEYS.forEach((setKey) => {
+    const ruleSet = rules.ruleSets[setKey];
+    if (!ruleSet || !Array.isArray(ruleSet.categories)) {
+      throw rulesError("noCategories", { setKey });
+    }
+    ruleSet.categories.forEach(({ category, keywords }) => {
+      if (typeof category !== "string" || category.trim() === "") {
+        throw rulesError("unnamedCategory", { setKey });
+      }
+      if (!Array.isArray(keywords) || keywords.some((keyword) => typeof keyword !== "string")) {
+        throw rulesError("badKeywords", { setKey, category });
+      }
+    });
+    const names = categoryNames(setKey, rules);
+    const repeated = names.find((name, index) => names.indexOf(name) !== index);
+    if (repeated !== undefined) {
+      throw rulesError("repeatedCategory", { setKey, category: repeated });
+    }
+  });
+  return rules;
+};
+
+export const parseCategoryRules = (text) => {
+  let rules;
+  try {
+    rules = JSON.parse(text);
+  } catch (err) {
+    throw rulesError("notJson");
+  }
+  return validateCategoryRules(rules);
+};
+
+const isUsable = (rules) => {
+  try {
+    validateCategoryRules(rules);
+    return true;
+  } catch (err) {
+    return false;
+  }
+};
+
+// The saved rules while categoryRules.json is still the version they were edited
+// from. A new version of the file replaces them: the saved copy is dropped.
+export const loadCategoryRules = () => {
+  const stored = readLocal(RULES_STORAGE_KEY, null);
+  if (stored === null) return DEFAULT_CATEGORY_RULES;
+  if (stored.baseVersion === DEFAULT_CATEGORY_RULES.version && isUsable(stored.rules)) {
+    return stored.rules;
+  }
+  writeLocal(RULES_STORAGE_KEY, null);
+  return DEFAULT_CATEGORY_RULES;
+};
+
+export const saveCategoryRules = (rules) =>
+  writeLocal(RULES_STORAGE_KEY, { baseVersion: DEFAULT_CATEGORY_RULES.version, rules });
+
+// Edited rules as the version after the saved one (or after an imported file's), so
+// an exported file can replace categoryRules.json
+export const nextRulesVersion = (rules, saved, now = new Date()) => ({
+  ...rules,
+  version: Math.max(rules.version, saved.version) + 1,
+  updatedAt: now.toISOString(),
+});
+
+const updateCategories = (rules, setKey, update) => ({
+  ...rules,
+  ruleSets: {
+    ...rules.ruleSets,
+    [setKey]: { ...rules.ruleSets[setKey], categories: update(rules.ruleSets[setKey].categories) },
+  },
+});
+
+// New categories go last; move them up to take answers an earlier category matches
+export const addCategory = (rules, setKey, category) => {
+  const name = category.trim();
+  if (name === "" || categoryNames(setKey, rules).includes(name)) return rules;
+  return updateCategories(rules, setKey, (categories) => [...categories, { category: name, keywords: [] }]);
+};
+
+export const removeCategory = (rules, setKey, category) =>
+  updateCategories(rules, setKey, (categories) =>
+    categories.filter((entry) => entry.category !== category)
+  );
+
+// step -1 moves the category up, 1 down
+export const moveCategory = (rules, setKey, category, step) =>
+  updateCategories(rules, setKey, (categories) => {
+    const from = categories.findIndex((entry) => entry.category === category);
+    const to = from + step;
+    if (from === -1 || to < 0 || to >= categories.length) return categories;
+    const moved = [...categories];
+    [moved[from], moved[to]] = [moved[to], moved[from]];
+    return moved;
+  });
+
+// A keyword the category already has, in any case, is not added again
+export const addKeyword = (rules, setKey, category, keyword) => {
+  const value = keyword.trim();
+  if (value === "") return rules;
+  return updateCategories(rules, setKey, (categories) =>
+    categories.map((entry) =>
+      entry.category === category &&
+      !entry.keywords.some((existing) => toMatchText(existing) === toMatchText(value))
+        ? { ...entry, keywords: [...entry.keywords, value] }
+        : entry
+    )
+  );
+};
+
+export const removeKeyword = (rules, setKey, category, keyword) =>
+  updateCategories(rules, setKey, (categories) =>
+    categories.map((entry) =>
+      entry.category === category
+        ? { ...entry, keywords: entry.keywords.filter((existing) => existing !== keyword) }
+        : entry
+    )
+  );
+
+// [{ answer, count }] of a rule set's distinct answers, most frequent first
+const distinctAnswers = (rows, setKey) => {
+  const counts = new Map();
+  rows.forEach((row) =>
+    RULE_SET_ANSWERS[setKey](row).forEach((answer) =>
+      counts.set(answer, (counts.get(answer) || 0) + 1)
+    )
+  );
+  return Array.from(counts, ([answer, count]) => ({ answer, count })).sort(
+    (a, b) => b.count - a.count || a.answer.localeCompare(b.answer)
+  );
+};
+
+// { [category]: answer count } under the given rules
+export const countCategoryAnswers = (rows, setKey, rules) =>
+  distinctAnswers(rows, setKey).reduce((counts, { answer, count }) => {
+    const category = categorizeAnswer(setKey, answer, rules);
+    counts[category] = (counts[category] || 0) + count;
+    return counts;
+  }, {});
+
+// Answers the edited rules put in another category than the saved ones:
+// [{ answer, count, from, to }], most frequent first
+export const categorizationChanges = (rows, setKey, saved, edited) =>
+  distinctAnswers(rows, setKey)
+    .map(({ answer, count }) => ({
+      answer,
+      count,
+      from: categorizeAnswer(setKey, answer, saved),
+      to: categorizeAnswer(setKey, answer, edited),
+    }))
+    .filter(({ from, to }) => from !== to);
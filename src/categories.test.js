@@ -0,0 +1,163 @@
+import {
+  addCategory,
+  addKeyword,
+  categorizationChanges,
+  categorize,
+  categorizeLocation,
+  categorizeSolution,
+  categoryNames,
+  countCategoryAnswers,
+  DEFAULT_CATEGORY_RULES,
+  loadCategoryRules,
+  moveCategory,
+  nextRulesVersion,
+  parseCategoryRules,
+  removeCategory,
+  removeKeyword,
+  saveCategoryRules,
+} from "./categories";
+
+const rules = {
+  version: 3,
+  updatedAt: null,
+  ruleSets: {
+    whoDispose: { fallback: "Unknown", categories: [] },
+    setting: {
+      fallback: "Other / Miscellaneous",
+      categories: [
+        { category: "Residential Area", keywords: ["residential", "house"] },
+        { category: "Market / Commercial Area", keywords: ["market"] },
+      ],
+    },
+    solution: {
+      fallback: null,
+      categories: [{ category: "Bins and Facilites", keywords: ["bin "] }],
+    },
+  },
+};
+
+const row = (setting, solutionParts = []) => ({ setting, whoDisposeParts: [], solutionParts });
+
+beforeEach(() => {
+  window.localStorage.clear();
+});
+
+test("puts an answer in the first category with a matching keyword", () => {
+  expect(categorizeLocation("Market near the houses", rules)).toBe("Residential Area");
+  expect(categorizeLocation("MARKET_PLACE", rules)).toBe("Market / Commercial Area");
+  expect(categorizeLocation("Temple", rules)).toBe("Other / Miscellaneous");
+  expect(categorizeLocation(null, rules)).toBe("Other / Miscellaneous");
+  expect(categorizeSolution("More bins", rules)).toBe("Bins and Facilites");
+  expect(categorizeSolution("Awareness", rules)).toBeNull();
+  expect(categorizeLocation("nallah")).toBe("Nallah / Drain");
+});
+
+test("matches short keywords only as whole words", () => {
+  const shortRules = {
+    ...rules,
+    ruleSets: {
+      ...rules.ruleSets,
+      whoDispose: {
+        fallback: "Unknown",
+        categories: [
+          { category: "No answer", keywords: ["N"] },
+          { category: "Vendors", keywords: ["vendor"] },
+        ],
+      },
+    },
+  };
+  expect(categorize("N", shortRules)).toBe("No answer");
+  expect(categorize("n / a", shortRules)).toBe("No answer");
+  expect(categorize("Street vendors", shortRules)).toBe("Vendors");
+  expect(categorize("Citizens", shortRules)).toBe("Unknown");
+  expect(categorize("Nearby household")).toBe("Households");
+  expect(categorize("Vendor")).toBe("Vendors");
+  expect(categorize("mother")).toBe("Unknown");
+});
+
+test("adds, moves and removes categories and keywords", () => {
+  let edited = addCategory(rules, "setting", " Temple ");
+  edited = addKeyword(edited, "setting", "Temple", " mandir ");
+  edited = addKeyword(edited, "setting", "Temple", "MANDIR");
+  edited = moveCategory(edited, "setting", "Temple", -1);
+  expect(edited.ruleSets.setting.categories[1]).toEqual({ category: "Temple", keywords: ["mandir"] });
+  expect(addCategory(edited, "setting", "Temple")).toBe(edited);
+  expect(moveCategory(edited, "setting", "Residential Area", -1).ruleSets.setting).toEqual(
+    edited.ruleSets.setting
+  );
+
+  edited = removeKeyword(edited, "setting", "Residential Area", "house");
+  edited = removeCategory(edited, "setting", "Market / Commercial Area");
+  expect(categoryNames("setting", edited)).toEqual(["Residential Area", "Temple"]);
+  expect(edited.ruleSets.setting.categories[0].keywords).toEqual(["residential"]);
+  expect(rules.ruleSets.setting.categories).toHaveLength(2);
+});
+
+test("previews the answers an edit moves", () => {
+  const rows = [
+    row("Near the mandir"),
+    row("Near the mandir"),
+    row("Market", ["Dust bin near"]),
+    row(""),
+  ];
+  let edited = addCategory(rules, "setting", "Temple");
+  edited = addKeyword(edited, "setting", "Temple", "mandir");
+  edited = removeKeyword(edited, "solution", "Bins and Facilites", "bin ");
+
+  expect(categorizationChanges(rows, "setting", rules, edited)).toEqual([
+    { answer: "Near the mandir", count: 2, from: "Other / Miscellaneous", to: "Temple" },
+  ]);
+  expect(categorizationChanges(rows, "solution", rules, edited)).toEqual([
+    { answer: "Dust bin near", count: 1, from: "Bins and Facilites", to: null },
+  ]);
+  expect(countCategoryAnswers(rows, "setting", edited)).toEqual({
+    Temple: 2,
+    "Market / Commercial Area": 1,
+  });
+});
+
+test("rejects files that are not categorization rules", () => {
+  expect(parseCategoryRules(JSON.stringify(rules))).toEqual(rules);
+  expect(() => parseCategoryRules("{")).toThrow("rules.errors.notJson");
+  expect(() => parseCategoryRules("[]")).toThrow("rules.errors.notRules");
+  expect(() => parseCategoryRules(JSON.stringify({ ...rules, version: "2" }))).toThrow(
+    "rules.errors.noVersion"
+  );
+  const twice = addKeyword(rules, "setting", "Residential Area", "colony");
+  twice.ruleSets.setting.categories.push({ category: "Residential Area", keywords: [] });
+  expect(() => parseCategoryRules(JSON.stringify(twice))).toThrow(
+    expect.objectContaining({
+      message: "rules.errors.repeatedCategory",
+      values: { setKey: "setting", category: "Residential Area" },
+    })
+  );
+});
+
+test("uses saved rules until the bundled file changes version", () => {
+  expect(loadCategoryRules()).toBe(DEFAULT_CATEGORY_RULES);
+
+  const saved = nextRulesVersion(
+    addCategory(DEFAULT_CATEGORY_RULES, "setting", "Temple"),
+    DEFAULT_CATEGORY_RULES,
+    new Date("2025-08-01T10:00:00Z")
+  );
+  expect(saved.version).toBe(DEFAULT_CATEGORY_RULES.version + 1);
+  expect(saved.updatedAt).toBe("2025-08-01T10:00:00.000Z");
+  saveCategoryRules(saved);
+  expect(loadCategoryRules()).toEqual(saved);
+
+  // Saved on an earlier categoryRules.json: the shipped file wins and the copy is dropped
+  const stored = JSON.parse(window.localStorage.getItem("gvp-dashboard.categoryRules"));
+  window.localStorage.setItem(
+    "gvp-dashboard.categoryRules",
+    JSON.stringify({ ...stored, baseVersion: DEFAULT_CATEGORY_RULES.version - 1 })
+  );
+  expect(loadCategoryRules()).toBe(DEFAULT_CATEGORY_RULES);
+  expect(window.localStorage.getItem("gvp-dashboard.categoryRules")).toBe("null");
+
+  saveCategoryRules({ version: saved.version });
+  expect(loadCategoryRules()).toBe(DEFAULT_CATEGORY_RULES);
+  expect(nextRulesVersion(rules, DEFAULT_CATEGORY_RULES).version).toBe(
+    Math.max(rules.version, DEFAULT_CATEGORY_RULES.version) + 1
+  );
+});
@@ -0,0 +1,62 @@
+// Display labels of the Kobo choice codes stored in the records, e.g. "_500kg_1_tonne"
+// -> "500 kg to 1 tonne". xlsformChoices.json holds hand-written labels, pending
+// review, for the codes found in the data; it is laid out like an XLSForm choices
+// sheet (list_name, name and one label column per language) so the form's own
+// sheet can replace it.
+
+import XLSFORM_CHOICES from "./xlsformChoices.json";
+
+export const LABEL_COLUMNS = {
+  en: "label::English",
+  mr: "label::Marathi",
+  hi: "label::Hindi",
+};
+
+// { [list_name]: { [code]: { [language]: label } } }
+export const buildChoiceLabels = (rows) =>
+  rows.reduce((lists, row) => {
+    const list = lists[row.list_name] || (lists[row.list_name] = {});
+    list[row.name] = Object.fromEntries(
+      Object.entries(LABEL_COLUMNS)
+        .filter(([, column]) => row[column])
+        .map(([language, column]) => [language, row[column]])
+    );
+    return lists;
+  }, {});
+
+const CHOICE_LABELS = buildChoiceLabels(XLSFORM_CHOICES);
+
+// Typed-in answers sometimes spell a choice out ("Open Area" for open_area)
+const toCode = (value) => String(value).trim().toLowerCase().replace(/\s+/g, "_");
+
+// Label of a code in the given choice list, falling back to English; answers that are
+// not codes of the list, such as free text, are returned unchanged
+export const choiceLabel = (listName, value, language = "en") => {
+  if (value === null || value === undefined || value === "") return null;
+  const choice = (CHOICE_LABELS[listName] || {})[toCode(value)];
+  return choice ? choice[language] || choice.en : value;
+};
+
+// Labels of a comma-separated, multi-valued answer
+export const choiceLabels = (listName, value, language = "en") =>
+  (value || "")
+    .split(",")
+    .map((part) => part.trim())
+    .filter(Boolean)
+    .map((part) => choiceLabel(listName, part, language));
+
+// Every label of a choice list, in the order of xlsformChoices.json
+export const choiceOptions = (listName, language = "en") =>
+  Object.keys(CHOICE_LABELS[listName] || {}).map((code) => choiceLabel(listName, code, language));
+
+export const yesNoLabel = (flag, language = "en") =>
+  flag === null || flag === undefined ? null : choiceLabel("yes_no", flag ? "yes" : "no", language);
+
+// The same choice in another language, for answers the dashboard keeps as English labels
+// (e.g. the quantity filter values); null when no choice has that English label
+export const relabelChoice = (englishLabel, language) => {
+  const choice = Object.values(CHOICE_LABELS)
+    .flatMap((list) => Object.values(list))
+    .find((labels) => labels.en === englishLabel);
+  return choice ? choice[language] || choice.en : null;
+};
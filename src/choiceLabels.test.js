@@ -0,0 +1,31 @@
+import { buildChoiceLabels, choiceLabel, choiceLabels, choiceOptions, yesNoLabel } from "./choiceLabels";
+
+test("labels choice codes in English and Marathi", () => {
+  expect(choiceLabel("waste_quantity", "_500kg_1_tonne")).toBe("500 kg to 1 tonne");
+  expect(choiceLabel("notice_frequency", "every_few_days__2_3_days_week")).toBe(
+    "Every few days (2–3 days a week)"
+  );
+  expect(choiceLabel("gvp_setting", "open_plot", "mr")).toBe("मोकळा भूखंड");
+  expect(yesNoLabel(false, "mr")).toBe("नाही");
+  expect(yesNoLabel(null)).toBeNull();
+});
+
+test("leaves free text and unknown codes as they are", () => {
+  expect(choiceLabel("dispose_where", "Open Area")).toBe("Open area");
+  expect(choiceLabel("dispose_where", "Near the temple")).toBe("Near the temple");
+  expect(choiceLabel("no_such_list", "daily")).toBe("daily");
+  expect(choiceLabel("waste_quantity", null)).toBeNull();
+  expect(choiceLabels("dispose_where", "collection_vehicle , Open Area")).toEqual([
+    "Collection vehicle",
+    "Open area",
+  ]);
+});
+
+test("builds label lists from choices sheet rows", () => {
+  const labels = buildChoiceLabels([
+    { list_name: "yes_no", name: "yes", "label::English": "Yes", "label::Marathi": "होय" },
+    { list_name: "yes_no", name: "no", "label::English": "No" },
+  ]);
+  expect(labels).toEqual({ yes_no: { yes: { en: "Yes", mr: "होय" }, no: { en: "No" } } });
+  expect(choiceOptions("clearance_frequency")).toEqual(["Daily", "Every few days", "Weekly", "Rarely"]);
+});
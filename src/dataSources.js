@@ -0,0 +1,112 @@
+// Data sources behind the dashboard's allData.
+// Every source exposes load({ since }) -> { rows, lastSubmissionTime } with rows in
+// the data_cleaned.json shape; App normalizes and merges them.
+
+import { cleanKoboRow, fromKoboSubmission, REQUIRED_COLUMNS } from "./koboImport";
+import KOBO_FIELDS from "./koboFields.json";
+
+const STATIC_DATA_URL = "/data_cleaned.json";
+const DEFAULT_PAGE_SIZE = 500;
+
+// Latest _submission_time of the given rows (ISO strings sort chronologically)
+export const latestSubmissionTime = (rows, since = null) =>
+  rows.reduce((latest, row) => {
+    const time = row._submission_time;
+    if (!time || time === "N/A") return latest;
+    return !latest || time > latest ? time : latest;
+  }, since);
+
+// Merges incoming normalized records into existing ones by id (_uuid, else _id).
+// Records without either cannot be matched, so they are all kept.
+export const mergeRecords = (existing, incoming) => {
+  const merged = new Map();
+  const withoutId = [];
+  [...existing, ...incoming].forEach((row) => {
+    if (row.id === null || row.id === undefined) withoutId.push(row);
+    else merged.set(row.id, row);
+  });
+  return [...merged.values(), ...withoutId];
+};
+
+// The bundled public/data_cleaned.json
+export const createStaticSource = ({ url = STATIC_DATA_URL, fetchImpl } = {}) => ({
+  name: "static",
+  incremental: false,
+  load: async () => {
+    const res = await (fetchImpl || fetch)(url);
+    if (!res.ok) throw new Error(`Could not load ${url} (${res.status})`);
+    const rows = await res.json();
+    return { rows, lastSubmissionTime: latestSubmissionTime(rows) };
+  },
+});
+
+// KoboToolbox v2 REST API: /api/v2/assets/<uid>/data/ with Token auth and paging.
+// Submissions come keyed by XLSForm field names and are mapped to the export
+// columns through `fields` (src/koboFields.json) before cleaning. That file does not
+// name the form's fields yet, so only the mock server's cleaned rows load for now.
+export const createKoboSource = ({
+  baseUrl,
+  token,
+  assetUid,
+  pageSize = DEFAULT_PAGE_SIZE,
+  fields = KOBO_FIELDS,
+  fetchImpl,
+}) => {
+  if (!baseUrl || !assetUid) {
+    throw new Error("The Kobo data source needs a base URL and an asset uid.");
+  }
+
+  const buildUrl = (since) => {
+    const url = new URL(
+      `${baseUrl.replace(/\/+$/, "")}/api/v2/assets/${encodeURIComponent(assetUid)}/data/`
+    );
+    url.searchParams.set("format", "json");
+    url.searchParams.set("limit", String(pageSize));
+    url.searchParams.set("sort", JSON.stringify({ _submission_time: 1 }));
+    if (since) {
+      url.searchParams.set("query", JSON.stringify({ _submission_time: { $gt: since } }));
+    }
+    return url.toString();
+  };
+
+  return {
+    name: "kobo",
+    incremental: true,
+    load: async ({ since = null } = {}) => {
+      const headers = token ? { Authorization: `Token ${token}` } : {};
+      const rows = [];
+      let next = buildUrl(since);
+      while (next) {
+        const res = await (fetchImpl || fetch)(next, { headers });
+        if (!res.ok) throw new Error(`Kobo API responded with ${res.status}`);
+        const page = await res.json();
+        rows.push(...(page.results || []));
+        next = page.next || null;
+      }
+      const cleaned = rows.map((row) => cleanKoboRow(fromKoboSubmission(row, fields)));
+      const missingColumns = REQUIRED_COLUMNS.filter(
+        (column) => cleaned.length > 0 && cleaned.every((row) => !(column in row))
+      );
+      if (missingColumns.length > 0) {
+        throw new Error(
+          `Kobo submissions lack column(s) ${missingColumns.join(", ")}; map their form fields in src/koboFields.json`
+        );
+      }
+      return { rows: cleaned, lastSubmissionTime: latestSubmissionTime(cleaned, since) };
+    },
+  };
+};
+
+// Picks the source from REACT_APP_* environment variables (see .env.example). They are
+// compiled into the public bundle, REACT_APP_KOBO_TOKEN included.
+export const createDataSource = (env = process.env) => {
+  if (env.REACT_APP_DATA_SOURCE === "kobo") {
+    return createKoboSource({
+      baseUrl: env.REACT_APP_KOBO_URL,
+      token: env.REACT_APP_KOBO_TOKEN,
+      assetUid: env.REACT_APP_KOBO_ASSET_UID,
+      pageSize: Number(env.REACT_APP_KOBO_PAGE_SIZE) || DEFAULT_PAGE_SIZE,
+    });
+  }
+  return createStaticSource();
+};
@@ -0,0 +1,152 @@
+import { createKoboSource, latestSubmissionTime, mergeRecords } from "./dataSources";
+import { normalizeRecord } from "./normalize";
+
+const jsonResponse = (body) => ({ ok: true, status: 200, json: async () => body });
+
+test("pages through the Kobo data endpoint with token auth", async () => {
+  const fetchImpl = jest
+    .fn()
+    .mockResolvedValueOnce(
+      jsonResponse({
+        next: "http://kobo.test/api/v2/assets/abc/data/?start=1",
+        results: [
+          {
+            _uuid: "a",
+            _submission_time: "2025-07-16T06:26:00",
+            Type_of_Form: "form_for_gvp",
+            "GVP Ward": 12,
+          },
+        ],
+      })
+    )
+    .mockResolvedValueOnce(
+      jsonResponse({
+        next: null,
+        results: [
+          {
+            _uuid: "b",
+            _submission_time: "2025-07-17T09:00:00",
+            Type_of_Form: "form_for_gvp",
+            "GVP Ward": 13,
+          },
+        ],
+      })
+    );
+
+  const source = createKoboSource({
+    baseUrl: "http://kobo.test/",
+    token: "secret",
+    assetUid: "abc",
+    fetchImpl,
+  });
+  const { rows, lastSubmissionTime } = await source.load({ since: "2025-07-01T00:00:00" });
+
+  expect(fetchImpl).toHaveBeenCalledTimes(2);
+  const firstUrl = new URL(fetchImpl.mock.calls[0][0]);
+  expect(firstUrl.pathname).toBe("/api/v2/assets/abc/data/");
+  expect(JSON.parse(firstUrl.searchParams.get("query"))).toEqual({
+    _submission_time: { $gt: "2025-07-01T00:00:00" },
+  });
+  expect(fetchImpl.mock.calls[0][1].headers).toEqual({ Authorization: "Token secret" });
+  expect(rows.map((row) => row._uuid)).toEqual(["a", "b"]);
+  expect(lastSubmissionTime).toBe("2025-07-17T09:00:00");
+});
+
+// As the data API returns them: XLSForm field names under their group path,
+// select_multiple answers as space-separated codes, unanswered questions left out
+const apiSubmissions = [
+  {
+    _id: 101,
+    _uuid: "a",
+    _submission_time: "2025-07-16T06:26:00",
+    Type_of_Form: "form_for_gvp",
+    "group_gvp/gvp_ward": "12",
+    "group_gvp/waste_found": "organic other",
+    "group_gvp/Record_the_location_of_GVP": "21.153787 79.02068 294.3 57.4",
+    _geolocation: [21.153787, 79.02068],
+  },
+  {
+    _id: 102,
+    _uuid: "b",
+    _submission_time: "2025-07-17T09:00:00",
+    Type_of_Form: "form_for_gvp",
+    "group_gvp/gvp_ward": "13",
+    _geolocation: [21.144421, 79.052067],
+  },
+];
+
+test("maps Kobo API submissions to the cleaned columns", async () => {
+  const fetchImpl = jest
+    .fn()
+    .mockResolvedValue(jsonResponse({ next: null, results: apiSubmissions }));
+  const fields = [
+    { column: "GVP Ward", name: "gvp_ward" },
+    { column: "Organic and Wet Waste", name: "waste_found", choice: "organic" },
+    { column: "Plastic Paper Glass Waste", name: "waste_found", choice: "plastic" },
+  ];
+  const source = createKoboSource({
+    baseUrl: "http://kobo.test",
+    assetUid: "abc",
+    fields,
+    fetchImpl,
+  });
+  const [first, second] = (await source.load()).rows.map(normalizeRecord);
+
+  expect(first.ward).toBe(12);
+  expect(first.wasteTypes["Organic and Wet Waste"]).toBe(true);
+  expect(first.wasteTypes["Plastic Paper Glass Waste"]).toBe(false);
+  expect(first.location).toMatchObject({ lat: 21.153787, lng: 79.02068, precision: 57.4 });
+  expect(second.ward).toBe(13);
+  expect(second.wasteTypes["Organic and Wet Waste"]).toBeNull();
+  expect(second.location).toMatchObject({ lat: 21.144421, lng: 79.052067 });
+});
+
+test("asks for the form fields of required columns that are not mapped", async () => {
+  const fetchImpl = jest
+    .fn()
+    .mockResolvedValue(jsonResponse({ next: null, results: apiSubmissions }));
+  const source = createKoboSource({ baseUrl: "http://kobo.test", assetUid: "abc", fetchImpl });
+  await expect(source.load()).rejects.toThrow("GVP Ward");
+});
+
+test("surfaces HTTP errors from the Kobo API", async () => {
+  const fetchImpl = jest.fn().mockResolvedValue({ ok: false, status: 401 });
+  const source = createKoboSource({ baseUrl: "http://kobo.test", assetUid: "abc", fetchImpl });
+  await expect(source.load()).rejects.toThrow("401");
+});
+
+test("keeps the previous sync time when nothing new arrived", () => {
+  expect(latestSubmissionTime([], "2025-07-16T06:26:00")).toBe("2025-07-16T06:26:00");
+});
+
+test("merges records by id, newer submissions replacing older ones", () => {
+  const merged = mergeRecords(
+    [
+      { id: "a", ward: 12 },
+      { id: "b", ward: 13 },
+    ],
+    [
+      { id: "b", ward: 14 },
+      { id: "c", ward: 15 },
+    ]
+  );
+  expect(merged).toEqual([
+    { id: "a", ward: 12 },
+    { id: "b", ward: 14 },
+    { id: "c", ward: 15 },
+  ]);
+});
+
+test("keeps records without an id instead of merging them", () => {
+  const merged = mergeRecords(
+    [
+      { id: "a", ward: 12 },
+      { id: null, ward: 13 },
+    ],
+    [
+      { id: null, ward: 14 },
+      { id: undefined, ward: 15 },
+    ]
+  );
+  expect(merged.map((row) => row.ward)).toEqual([12, 13, 14, 15]);
+});
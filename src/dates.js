@@ -0,0 +1,78 @@
+// Survey dates: the day an interview started, used by the date-range filter
+// and the submissions timeline.
+
+// Day of the interview, falling back to the submission time
+export const surveyDate = (row) => row.start || row.submittedAt || null;
+
+// Local calendar day as "YYYY-MM-DD" (matches <input type="date"> values)
+export const toDayKey = (date) => {
+  if (!date) return null;
+  const pad = (number) => String(number).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+// Inclusive on both ends; an open bound does not filter
+export const isWithinDateRange = (row, { from, to }) => {
+  if (!from && !to) return true;
+  const day = toDayKey(surveyDate(row));
+  if (!day) return false;
+  return (!from || day >= from) && (!to || day <= to);
+};
+
+// Every day from the first to the last key, so gaps show up on the timeline
+const fillDays = (firstDay, lastDay) => {
+  const days = [];
+  const cursor = new Date(`${firstDay}T00:00:00`);
+  const last = new Date(`${lastDay}T00:00:00`);
+  while (cursor <= last) {
+    days.push(toDayKey(cursor));
+    cursor.setDate(cursor.getDate() + 1);
+  }
+  return days;
+};
+
+// Timeline entries the date range spans, for its brush. A bound outside the charted
+// days is clamped to the nearest one, so the brush never shows a wider range than
+// the filter applies.
+export const timelineRangeIndices = (entries, { from, to }) => {
+  const orNearest = (index, nearest) => (index === -1 ? nearest : index);
+  const last = entries.length - 1;
+  return {
+    startIndex: from ? orNearest(entries.findIndex((entry) => entry.day >= from), last) : 0,
+    endIndex: to ? orNearest(entries.findLastIndex((entry) => entry.day <= to), 0) : last,
+  };
+};
+
+// Key of the submissions without a ward on the timeline
+export const NO_WARD = "Unknown";
+
+// [{ day, total, <ward>: count, ... }] for each day of the survey period. Submissions
+// without a ward are counted under NO_WARD when there are any; the total counts
+// every submission of the day.
+export const calculateDailySubmissions = (data, wards) => {
+  const counts = {};
+  data.forEach((row) => {
+    const day = toDayKey(surveyDate(row));
+    if (!day) return;
+    const ward = row.ward !== null ? String(row.ward) : NO_WARD;
+    counts[day] = counts[day] || {};
+    counts[day][ward] = (counts[day][ward] || 0) + 1;
+  });
+
+  const days = Object.keys(counts).sort();
+  if (days.length === 0) return [];
+
+  const hasNoWard = days.some((day) => counts[day][NO_WARD]);
+  const series = hasNoWard ? [...wards, NO_WARD] : wards;
+  return fillDays(days[0], days[days.length - 1]).map((day) => {
+    const dayCounts = counts[day] || {};
+    const entry = {
+      day,
+      total: Object.values(dayCounts).reduce((sum, count) => sum + count, 0),
+    };
+    series.forEach((ward) => {
+      entry[ward] = dayCounts[ward] || 0;
+    });
+    return entry;
+  });
+};
@@ -0,0 +1,58 @@
+import {
+  calculateDailySubmissions,
+  isWithinDateRange,
+  timelineRangeIndices,
+  toDayKey,
+} from "./dates";
+
+const row = (ward, day) => ({ ward, start: new Date(`${day}T10:00:00`), submittedAt: null });
+
+test("filters inclusively on the survey day", () => {
+  const record = row(12, "2025-07-16");
+  expect(isWithinDateRange(record, { from: null, to: null })).toBe(true);
+  expect(isWithinDateRange(record, { from: "2025-07-16", to: "2025-07-16" })).toBe(true);
+  expect(isWithinDateRange(record, { from: "2025-07-17", to: null })).toBe(false);
+  expect(isWithinDateRange({ ward: 12, start: null }, { from: "2025-07-01", to: null })).toBe(false);
+});
+
+test("counts submissions per day and ward, including empty days", () => {
+  const data = [row(12, "2025-07-16"), row(13, "2025-07-16"), row(12, "2025-07-18")];
+  expect(calculateDailySubmissions(data, ["12", "13"])).toEqual([
+    { day: "2025-07-16", total: 2, 12: 1, 13: 1 },
+    { day: "2025-07-17", total: 0, 12: 0, 13: 0 },
+    { day: "2025-07-18", total: 1, 12: 1, 13: 0 },
+  ]);
+});
+
+test("counts submissions without a ward in the total and their own series", () => {
+  const data = [row(12, "2025-07-16"), row(null, "2025-07-16"), row(14, "2025-07-17")];
+  expect(calculateDailySubmissions(data, ["12"])).toEqual([
+    { day: "2025-07-16", total: 2, 12: 1, Unknown: 1 },
+    { day: "2025-07-17", total: 1, 12: 0, Unknown: 0 },
+  ]);
+});
+
+test("clamps the brush to the charted days nearest the filter", () => {
+  const entries = [{ day: "2025-07-16" }, { day: "2025-07-17" }, { day: "2025-07-18" }];
+  expect(timelineRangeIndices(entries, { from: null, to: null })).toEqual({
+    startIndex: 0,
+    endIndex: 2,
+  });
+  expect(timelineRangeIndices(entries, { from: "2025-07-17", to: "2025-08-01" })).toEqual({
+    startIndex: 1,
+    endIndex: 2,
+  });
+  expect(timelineRangeIndices(entries, { from: "2025-07-01", to: "2025-07-16" })).toEqual({
+    startIndex: 0,
+    endIndex: 0,
+  });
+  expect(timelineRangeIndices(entries, { from: "2025-08-01", to: null })).toEqual({
+    startIndex: 2,
+    endIndex: 2,
+  });
+});
+
+test("formats local days", () => {
+  expect(toDayKey(new Date(2025, 6, 5))).toBe("2025-07-05");
+  expect(toDayKey(null)).toBeNull();
+});
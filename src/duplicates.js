@@ -0,0 +1,133 @@
+// Duplicate GVP detection: records close to each other on the map with similar
+// "Nearest Location" text are grouped as candidates for a reviewer to merge or
+// dismiss. Merged duplicates are left out of the GVP count and volume totals.
+
+import { haversineMetres } from "./geo";
+import { readLocal, writeLocal } from "./localStore";
+
+export const DEFAULT_DUPLICATE_SETTINGS = {
+  // Candidates must be at most this far apart...
+  maxDistanceMetres: 75,
+  // ...and describe the location similarly (0 = anything, 1 = identical text)
+  minTextSimilarity: 0.5,
+  // Points this close are candidates whatever their description
+  nearDistanceMetres: 15,
+};
+
+const REVIEWS_STORAGE_KEY = "gvp-dashboard.duplicateReviews";
+
+const bigrams = (text) => {
+  const normalized = ` ${(text || "").toLowerCase().replace(/\s+/g, " ").trim()} `;
+  const result = [];
+  for (let i = 0; i < normalized.length - 1; i += 1) {
+    result.push(normalized.slice(i, i + 2));
+  }
+  return result;
+};
+
+// Dice coefficient over character bigrams, 0..1
+export const textSimilarity = (a, b) => {
+  if (!a || !b) return 0;
+  const left = bigrams(a);
+  const right = bigrams(b);
+  const counts = new Map();
+  left.forEach((gram) => counts.set(gram, (counts.get(gram) || 0) + 1));
+  let shared = 0;
+  right.forEach((gram) => {
+    const count = counts.get(gram) || 0;
+    if (count > 0) {
+      shared += 1;
+      counts.set(gram, count - 1);
+    }
+  });
+  return (2 * shared) / (left.length + right.length);
+};
+
+const findRoot = (parents, id) => {
+  let root = id;
+  while (parents.get(root) !== root) root = parents.get(root);
+  parents.set(id, root);
+  return root;
+};
+
+// Candidate groups: [{ key, members, pairs: [{ a, b, distanceMetres, similarity }] }]
+export const findDuplicateGroups = (data, settings = DEFAULT_DUPLICATE_SETTINGS) => {
+  const located = data.filter((row) => row.location && row.id);
+  const parents = new Map(located.map((row) => [row.id, row.id]));
+  const pairs = [];
+
+  for (let i = 0; i < located.length; i += 1) {
+    for (let j = i + 1; j < located.length; j += 1) {
+      const a = located[i];
+      const b = located[j];
+      const distanceMetres = haversineMetres(a.location, b.location);
+      if (distanceMetres > settings.maxDistanceMetres) continue;
+
+      const similarity = textSimilarity(a.nearestLocation, b.nearestLocation);
+      if (distanceMetres <= settings.nearDistanceMetres || similarity >= settings.minTextSimilarity) {
+        pairs.push({ a: a.id, b: b.id, distanceMetres, similarity });
+        parents.set(findRoot(parents, a.id), findRoot(parents, b.id));
+      }
+    }
+  }
+
+  const groups = new Map();
+  located.forEach((row) => {
+    const root = findRoot(parents, row.id);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(row);
+  });
+
+  return Array.from(groups.values())
+    .filter((members) => members.length > 1)
+    .map((members) => {
+      const ids = new Set(members.map((row) => row.id));
+      const sorted = [...members].sort(
+        (x, y) => (x.submittedAt || 0) - (y.submittedAt || 0)
+      );
+      return {
+        key: sorted.map((row) => row.id).sort().join("|"),
+        members: sorted,
+        pairs: pairs.filter((pair) => ids.has(pair.a)),
+      };
+    });
+};
+
+// Reviews: { merged: { duplicateId: keptId }, dismissed: [groupKey] }
+export const EMPTY_REVIEWS = { merged: {}, dismissed: [] };
+
+export const loadDuplicateReviews = () => ({
+  ...EMPTY_REVIEWS,
+  ...readLocal(REVIEWS_STORAGE_KEY, EMPTY_REVIEWS),
+});
+
+export const saveDuplicateReviews = (reviews) => writeLocal(REVIEWS_STORAGE_KEY, reviews);
+
+export const mergeGroup = (reviews, group, keptId) => {
+  const merged = { ...reviews.merged };
+  group.members.forEach((row) => {
+    if (row.id === keptId) {
+      delete merged[row.id];
+    } else {
+      merged[row.id] = keptId;
+    }
+  });
+  return { ...reviews, merged };
+};
+
+export const undoMerge = (reviews, group) => {
+  const merged = { ...reviews.merged };
+  group.members.forEach((row) => delete merged[row.id]);
+  return { ...reviews, merged };
+};
+
+export const dismissGroup = (reviews, group) => ({
+  ...reviews,
+  dismissed: Array.from(new Set([...reviews.dismissed, group.key])),
+});
+
+// The record a merged group was merged into, or null while the group is open
+export const mergedInto = (reviews, group) => {
+  const targets = new Set(group.members.map((row) => reviews.merged[row.id] || row.id));
+  return targets.size === 1 ? Array.from(targets)[0] : null;
+};
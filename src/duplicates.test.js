@@ -0,0 +1,54 @@
+import {
+  EMPTY_REVIEWS,
+  findDuplicateGroups,
+  mergeGroup,
+  mergedInto,
+  textSimilarity,
+  undoMerge,
+} from "./duplicates";
+
+// Roughly 11 m per 0.0001 degree of latitude
+const row = (id, lat, nearestLocation, submitted) => ({
+  id,
+  location: { lat, lng: 79.08 },
+  nearestLocation,
+  submittedAt: new Date(`2025-07-16T${submitted}:00Z`),
+});
+
+test("measures text similarity", () => {
+  expect(textSimilarity("Sadar Muslim Library", "sadar  muslim library")).toBe(1);
+  expect(textSimilarity("Landra Park", "Playground")).toBeLessThan(0.5);
+  expect(textSimilarity("", "Playground")).toBe(0);
+});
+
+test("groups nearby records with similar or very close locations", () => {
+  const data = [
+    row("a", 21.1, "Sadar Muslim Library", "10:00"),
+    row("b", 21.1005, "Muslim Library Sadar", "09:00"),
+    row("c", 21.2, "Landra Park", "10:00"),
+    row("d", 21.2005, "Playground", "10:00"),
+    row("e", 21.3, "Futala Lake", "10:00"),
+    row("f", 21.30005, "Near the lake", "10:00"),
+  ];
+  const groups = findDuplicateGroups(data);
+
+  expect(groups.map((group) => group.members.map((r) => r.id))).toEqual([
+    ["b", "a"],
+    ["e", "f"],
+  ]);
+  expect(groups[0].key).toBe("a|b");
+  expect(groups[0].pairs).toHaveLength(1);
+});
+
+test("tracks merge decisions per group", () => {
+  const [group] = findDuplicateGroups([
+    row("a", 21.1, "Sadar Muslim Library", "10:00"),
+    row("b", 21.1001, "Sadar Muslim Library", "11:00"),
+  ]);
+
+  expect(mergedInto(EMPTY_REVIEWS, group)).toBeNull();
+  const reviews = mergeGroup(EMPTY_REVIEWS, group, "a");
+  expect(reviews.merged).toEqual({ b: "a" });
+  expect(mergedInto(reviews, group)).toBe("a");
+  expect(mergedInto(undoMerge(reviews, group), group)).toBeNull();
+});
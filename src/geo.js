@@ -0,0 +1,26 @@
+// Distances between { lat, lng } locations
+
+const EARTH_RADIUS_METRES = 6371000;
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+export const haversineMetres = (a, b) => {
+  const dLat = toRadians(b.lat - a.lat);
+  const dLng = toRadians(b.lng - a.lng);
+  const h =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(a.lat)) * Math.cos(toRadians(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_METRES * Math.asin(Math.sqrt(h));
+};
+
+export const formatDistance = (metres, locale = "en-IN") =>
+  metres < 1000
+    ? new Intl.NumberFormat(locale, { style: "unit", unit: "meter", maximumFractionDigits: 0 }).format(
+        metres
+      )
+    : new Intl.NumberFormat(locale, {
+        style: "unit",
+        unit: "kilometer",
+        minimumFractionDigits: 1,
+        maximumFractionDigits: 1,
+      }).format(metres / 1000);
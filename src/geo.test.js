@@ -0,0 +1,12 @@
+import { formatDistance, haversineMetres } from "./geo";
+
+test("measures distances between locations", () => {
+  expect(haversineMetres({ lat: 21.1, lng: 79.08 }, { lat: 21.101, lng: 79.08 })).toBeCloseTo(111.2, 0);
+  expect(haversineMetres({ lat: 21.1, lng: 79.08 }, { lat: 21.1, lng: 79.08 })).toBe(0);
+});
+
+test("formats distances in metres or kilometres for the locale", () => {
+  expect(formatDistance(111.2)).toBe("111 m");
+  expect(formatDistance(3378)).toBe("3.4 km");
+  expect(formatDistance(3378, "mr-IN")).toBe("३.४ किमी");
+});
@@ -0,0 +1,26 @@
+// GPS precision of the recorded GVP location. Kobo writes 0 or N/A when the
+// device reported no accuracy, so both count as unknown.
+
+import { formatDistance } from "./geo";
+
+export const DEFAULT_PRECISION_THRESHOLD_METRES = 50;
+
+// Accuracy radius in metres, or null when unknown
+export const locationPrecision = (row) => {
+  const precision = row.location ? row.location.precision : null;
+  return precision !== null && precision > 0 ? precision : null;
+};
+
+// Above the threshold, or of unknown precision
+export const isUncertainLocation = (row, thresholdMetres) => {
+  const precision = locationPrecision(row);
+  return precision === null || precision > thresholdMetres;
+};
+
+// Takes the active language's { t, locale } (see i18n.js)
+export const describePrecision = (row, { t, locale }) => {
+  const precision = locationPrecision(row);
+  return precision === null
+    ? t("gps.unknownPrecision")
+    : t("gps.precision", { distance: formatDistance(precision, locale) });
+};
@@ -0,0 +1,17 @@
+import { isUncertainLocation, locationPrecision } from "./gpsPrecision";
+
+const at = (precision) => ({ location: { lat: 21.1, lng: 79.0, altitude: null, precision } });
+
+test("treats missing and zero precision as unknown", () => {
+  expect(locationPrecision(at(12.5))).toBe(12.5);
+  expect(locationPrecision(at(0))).toBeNull();
+  expect(locationPrecision(at(null))).toBeNull();
+  expect(locationPrecision({ location: null })).toBeNull();
+});
+
+test("flags locations above the threshold or of unknown precision", () => {
+  expect(isUncertainLocation(at(10), 50)).toBe(false);
+  expect(isUncertainLocation(at(50), 50)).toBe(false);
+  expect(isUncertainLocation(at(388), 50)).toBe(true);
+  expect(isUncertainLocation(at(0), 50)).toBe(true);
+});
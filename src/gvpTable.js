@@ -0,0 +1,119 @@
+// Columns, search, sorting and paging of the GVP table. A column's valueOf(row,
+// context) is what it shows and sorts by unless it has its own sortValue; context
+// carries the timing audit and the category rules.
+
+import { categorizeLocation, wasteTypeToColumnMap } from "./categories";
+import { surveyDate, toDayKey } from "./dates";
+import { readLocal, writeLocal } from "./localStore";
+import { CLEARANCE_CLASSES, clearanceClass, QUANTITY_BANDS, quantityBand } from "./markerStyles";
+import { volunteerName } from "./volunteers";
+
+const COLUMNS_STORAGE_KEY = "gvp-dashboard.tableColumns";
+
+export const PAGE_SIZE = 25;
+
+// Class labels sort in their listed order rather than alphabetically
+const classOrder = (classes, classOf) => (row) => {
+  const index = classes.findIndex(({ label }) => label === classOf(row));
+  return index === -1 ? null : index;
+};
+
+// Waste type names (the keys of wasteTypeToColumnMap) ticked for a row
+export const wasteTypesOf = (row) =>
+  Object.entries(wasteTypeToColumnMap)
+    .filter(([, column]) => row.wasteTypes[column])
+    .map(([type]) => type);
+
+export const TABLE_COLUMNS = [
+  { key: "ward", valueOf: (row) => row.ward },
+  { key: "nearestLocation", valueOf: (row) => row.nearestLocation },
+  { key: "area", valueOf: (row) => row.area },
+  { key: "date", valueOf: (row) => toDayKey(surveyDate(row)) },
+  { key: "volunteer", valueOf: volunteerName },
+  { key: "quantity", valueOf: quantityBand, sortValue: classOrder(QUANTITY_BANDS, quantityBand) },
+  {
+    key: "setting",
+    valueOf: (row, { categoryRules }) => categorizeLocation(row.setting, categoryRules),
+  },
+  {
+    key: "clearance",
+    valueOf: clearanceClass,
+    sortValue: classOrder(CLEARANCE_CLASSES, clearanceClass),
+  },
+  { key: "wasteTypes", valueOf: (row) => wasteTypesOf(row).join(", ") || null },
+  { key: "comments", valueOf: (row) => row.comments },
+  { key: "photo", valueOf: (row) => row.media.photo },
+  { key: "video", valueOf: (row) => row.media.video },
+  {
+    key: "qa",
+    valueOf: (row, { timingAudit }) => {
+      const entry = timingAudit.get(row.id);
+      return entry ? entry.flags.length : null;
+    },
+  },
+];
+
+export const DEFAULT_VISIBLE_COLUMNS = ["ward", "nearestLocation", "photo", "video", "qa"];
+
+export const DEFAULT_TABLE_SORT = { key: "ward", direction: "asc" };
+
+const columnOf = (key) => TABLE_COLUMNS.find((column) => column.key === key);
+
+// Unknown keys from an older version are dropped
+export const loadVisibleColumns = () => {
+  const stored = readLocal(COLUMNS_STORAGE_KEY, DEFAULT_VISIBLE_COLUMNS);
+  const columns = Array.isArray(stored) ? stored.filter(columnOf) : [];
+  return columns.length > 0 ? columns : DEFAULT_VISIBLE_COLUMNS;
+};
+
+export const saveVisibleColumns = (columns) => writeLocal(COLUMNS_STORAGE_KEY, columns);
+
+// Kept in TABLE_COLUMNS order
+export const toggleColumn = (visibleColumns, key) =>
+  TABLE_COLUMNS.map((column) => column.key).filter((columnKey) =>
+    columnKey === key ? !visibleColumns.includes(key) : visibleColumns.includes(columnKey)
+  );
+
+const searchText = (row) =>
+  [row.nearestLocation, row.area, row.interactionLocationName, row.comments]
+    .filter(Boolean)
+    .join(" ")
+    .toLowerCase();
+
+// Every word of the query has to appear in the location or comments
+export const searchRows = (rows, query) => {
+  const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+  if (words.length === 0) return rows;
+  return rows.filter((row) => {
+    const text = searchText(row);
+    return words.every((word) => text.includes(word));
+  });
+};
+
+// Missing values go last in either direction
+export const sortRows = (rows, { key, direction }, context) => {
+  const column = columnOf(key);
+  if (!column) return rows;
+  const valueOf = column.sortValue || column.valueOf;
+  const sign = direction === "desc" ? -1 : 1;
+  return rows
+    .map((row) => ({ row, value: valueOf(row, context) }))
+    .sort((a, b) => {
+      const isMissingA = a.value === null || a.value === undefined;
+      const isMissingB = b.value === null || b.value === undefined;
+      if (isMissingA || isMissingB) return isMissingA - isMissingB;
+      if (typeof a.value === "number" && typeof b.value === "number") {
+        return sign * (a.value - b.value);
+      }
+      return sign * String(a.value).localeCompare(String(b.value));
+    })
+    .map(({ row }) => row);
+};
+
+// Clicking the sorted column flips its direction; another column starts ascending
+export const nextSort = (sort, key) =>
+  sort.key === key
+    ? { key, direction: sort.direction === "asc" ? "desc" : "asc" }
+    : { key, direction: "asc" };
+
+export const pageCount = (rowCount) => Math.max(1, Math.ceil(rowCount / PAGE_SIZE));
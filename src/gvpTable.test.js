@@ -0,0 +1,54 @@
+import { nextSort, pageCount, PAGE_SIZE, searchRows, sortRows, toggleColumn } from "./gvpTable";
+
+const row = (id, { ward = null, nearestLocation = null, comments = null, quantity = null } = {}) => ({
+  id,
+  ward,
+  nearestLocation,
+  area: null,
+  interactionLocationName: null,
+  comments,
+  quantity,
+  wasteTypes: {},
+  media: {},
+});
+
+const ids = (rows) => rows.map((r) => r.id);
+
+test("searches location and comments for every word", () => {
+  const rows = [
+    row("a", { nearestLocation: "Gandhibagh Market", comments: "Near the temple" }),
+    row("b", { nearestLocation: "Itwari", comments: "Market waste burnt at night" }),
+    row("c", { nearestLocation: "Mahal" }),
+  ];
+
+  expect(ids(searchRows(rows, "  "))).toEqual(["a", "b", "c"]);
+  expect(ids(searchRows(rows, "market"))).toEqual(["a", "b"]);
+  expect(ids(searchRows(rows, "MARKET temple"))).toEqual(["a"]);
+});
+
+test("sorts by column with missing values last", () => {
+  const rows = [row("a", { ward: 14 }), row("b"), row("c", { ward: 12 }), row("d", { ward: 15 })];
+  const context = { timingAudit: new Map() };
+
+  expect(ids(sortRows(rows, { key: "ward", direction: "asc" }, context))).toEqual(["c", "a", "d", "b"]);
+  expect(ids(sortRows(rows, { key: "ward", direction: "desc" }, context))).toEqual(["d", "a", "c", "b"]);
+  expect(nextSort({ key: "ward", direction: "asc" }, "ward")).toEqual({ key: "ward", direction: "desc" });
+  expect(nextSort({ key: "ward", direction: "desc" }, "date")).toEqual({ key: "date", direction: "asc" });
+});
+
+test("sorts quantities by size rather than label", () => {
+  const rows = [
+    row("big", { quantity: "above_1_tonne" }),
+    row("small", { quantity: "some_100_kg" }),
+    row("mid", { quantity: "_500kg_1_tonne" }),
+  ];
+
+  expect(ids(sortRows(rows, { key: "quantity", direction: "asc" }, {}))).toEqual(["small", "mid", "big"]);
+});
+
+test("toggles columns in table order and counts pages", () => {
+  expect(toggleColumn(["qa", "ward"], "date")).toEqual(["ward", "date", "qa"]);
+  expect(toggleColumn(["ward", "date"], "ward")).toEqual(["date"]);
+  expect(pageCount(0)).toBe(1);
+  expect(pageCount(PAGE_SIZE + 1)).toBe(2);
+});
@@ -0,0 +1,28 @@
+// Heatmap weighting: how much each GVP contributes to the waste-burden heat layer
+
+export const HAZARDOUS_WASTE_COLUMNS = ["Sanitary and Hazardous Waste", "Battery and Bulb Waste"];
+
+export const HEATMAP_WEIGHTS = ["volume", "hazardous", "problems"];
+
+export const hasHazardousWaste = (row) =>
+  HAZARDOUS_WASTE_COLUMNS.some((column) => row.wasteTypes[column] === true);
+
+export const countProblems = (row) =>
+  Object.values(row.problems).filter((value) => value === true).length;
+
+// `volumeOf` turns a row into its waste volume in hath gadi
+export const heatmapWeight = (row, weight, volumeOf) => {
+  if (weight === "hazardous") return hasHazardousWaste(row) ? volumeOf(row) : 0;
+  if (weight === "problems") return countProblems(row);
+  return volumeOf(row);
+};
+
+// [lat, lng, intensity] points for leaflet.heat, scaled so the heaviest point is 1
+export const buildHeatPoints = (rows, weight, volumeOf) => {
+  const weighted = rows
+    .filter((row) => row.location)
+    .map((row) => [row.location.lat, row.location.lng, heatmapWeight(row, weight, volumeOf)])
+    .filter(([, , intensity]) => intensity > 0);
+  const max = Math.max(0, ...weighted.map(([, , intensity]) => intensity));
+  return weighted.map(([lat, lng, intensity]) => [lat, lng, intensity / max]);
+};
@@ -0,0 +1,31 @@
+import { buildHeatPoints, heatmapWeight } from "./heatmap";
+
+const row = (quantity, wasteTypes = {}, problems = {}, location = { lat: 21.1, lng: 79.08 }) => ({
+  quantity,
+  wasteTypes,
+  problems,
+  location,
+});
+
+const volumeOf = (r) => r.quantity;
+
+test("weights rows by volume, hazardous volume or problem count", () => {
+  const hazardous = row(4, { "Battery and Bulb Waste": true }, { "Bad Odour": true, Mosquitos: true });
+  const plain = row(2, { "Battery and Bulb Waste": false }, { "Bad Odour": null });
+
+  expect(heatmapWeight(hazardous, "volume", volumeOf)).toBe(4);
+  expect(heatmapWeight(hazardous, "hazardous", volumeOf)).toBe(4);
+  expect(heatmapWeight(plain, "hazardous", volumeOf)).toBe(0);
+  expect(heatmapWeight(hazardous, "problems", volumeOf)).toBe(2);
+  expect(heatmapWeight(plain, "problems", volumeOf)).toBe(0);
+});
+
+test("scales intensities to the heaviest point and skips empty ones", () => {
+  const data = [row(4), row(1, {}, {}, { lat: 21.2, lng: 79.1 }), row(0), row(3, {}, {}, null)];
+
+  expect(buildHeatPoints(data, "volume", volumeOf)).toEqual([
+    [21.1, 79.08, 1],
+    [21.2, 79.1, 0.25],
+  ]);
+  expect(buildHeatPoints([row(0)], "volume", volumeOf)).toEqual([]);
+});
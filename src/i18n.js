@@ -0,0 +1,105 @@
+// Dashboard languages and their message catalogs (messages.<language>.json). Messages
+// are looked up by dotted key, e.g. t("charts.problems"), with {name} placeholders;
+// a message can also be { one, other } for plurals of its {count}. Messages missing
+// from a catalog fall back to English. Numbers and dates follow the language's locale.
+
+import { relabelChoice } from "./choiceLabels";
+import { readLocal, writeLocal } from "./localStore";
+import en from "./messages.en.json";
+import hi from "./messages.hi.json";
+import mr from "./messages.mr.json";
+
+const LANGUAGE_STORAGE_KEY = "gvp-dashboard.language";
+
+// Language names are written in their own script for the language switcher
+export const LANGUAGES = {
+  en: { name: "English", locale: "en-IN" },
+  mr: { name: "मराठी", locale: "mr-IN" },
+  hi: { name: "हिन्दी", locale: "hi-IN" },
+};
+
+export const DEFAULT_LANGUAGE = "en";
+
+const CATALOGS = { en, mr, hi };
+
+// The language chosen before, else the browser's when the dashboard has it
+export const loadLanguage = () => {
+  const stored = readLocal(LANGUAGE_STORAGE_KEY, null);
+  if (LANGUAGES[stored]) return stored;
+  const browserLanguage = (window.navigator.language || "").slice(0, 2);
+  return LANGUAGES[browserLanguage] ? browserLanguage : DEFAULT_LANGUAGE;
+};
+
+export const saveLanguage = (language) => writeLocal(LANGUAGE_STORAGE_KEY, language);
+
+const lookup = (catalog, key) =>
+  key.split(".").reduce((node, part) => (node && typeof node === "object" ? node[part] : undefined), catalog);
+
+export const createI18n = (language) => {
+  const { locale } = LANGUAGES[language] || LANGUAGES[DEFAULT_LANGUAGE];
+  const catalog = CATALOGS[language] || CATALOGS[DEFAULT_LANGUAGE];
+
+  const formatNumber = (value, options) => new Intl.NumberFormat(locale, options).format(value);
+
+  // 12.5 -> "12.5%"
+  const formatPercent = (percent, digits = 1) =>
+    formatNumber(percent / 100, {
+      style: "percent",
+      minimumFractionDigits: digits,
+      maximumFractionDigits: digits,
+    });
+
+  const formatDate = (date, options = { dateStyle: "medium" }) =>
+    new Intl.DateTimeFormat(locale, options).format(date);
+
+  const formatDateTime = (date) => formatDate(date, { dateStyle: "medium", timeStyle: "short" });
+
+  // "YYYY-MM-DD" day keys (see dates.js) as a local date
+  const formatDay = (day, options) => formatDate(new Date(`${day}T00:00:00`), options);
+
+  // Numbers in the placeholders are formatted for the locale; ward numbers and other
+  // identifiers are passed as strings to keep them as they are written on the ground
+  const t = (key, params = {}) => {
+    let message = lookup(catalog, key);
+    if (message === undefined) message = lookup(CATALOGS[DEFAULT_LANGUAGE], key);
+    if (message && typeof message === "object" && message.other !== undefined) {
+      message = message[new Intl.PluralRules(locale).select(params.count)] || message.other;
+    }
+    if (typeof message !== "string") return key;
+    return message.replace(/\{(\w+)\}/g, (placeholder, name) => {
+      const value = params[name];
+      if (value === undefined || value === null) return placeholder;
+      return typeof value === "number" ? formatNumber(value) : value;
+    });
+  };
+
+  // Category and column names kept in English in the data and filters, e.g. "Bad Odour",
+  // looked up without surrounding spaces. Names without a translation, such as free
+  // text or a category added in the rules editor, are shown as they are.
+  const translateValue = (value) => {
+    const name = String(value).trim();
+    return (catalog.values && catalog.values[name]) || relabelChoice(name, language) || null;
+  };
+
+  const valueLabel = (value) => {
+    if (value === null || value === undefined) return value;
+    return translateValue(value) || value;
+  };
+
+  // Whether valueLabel shows the value in this language; English names need none
+  const hasValueLabel = (value) =>
+    catalog === CATALOGS[DEFAULT_LANGUAGE] || translateValue(value) !== null;
+
+  return {
+    language,
+    locale,
+    t,
+    formatNumber,
+    formatPercent,
+    formatDate,
+    formatDateTime,
+    formatDay,
+    valueLabel,
+    hasValueLabel,
+  };
+};
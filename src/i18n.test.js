@@ -0,0 +1,64 @@
+import { createI18n, loadLanguage, saveLanguage } from "./i18n";
+import en from "./messages.en.json";
+import hi from "./messages.hi.json";
+import mr from "./messages.mr.json";
+
+const keysOf = (catalog, prefix = "") =>
+  Object.entries(catalog).flatMap(([key, value]) =>
+    value && typeof value === "object" && value.other === undefined
+      ? keysOf(value, `${prefix}${key}.`)
+      : [`${prefix}${key}`]
+  );
+
+beforeEach(() => {
+  window.localStorage.clear();
+});
+
+test("fills placeholders and picks plural forms", () => {
+  const { t } = createI18n("en");
+  expect(t("common.ward", { ward: "12" })).toBe("Ward 12");
+  expect(t("common.gvps", { count: 1 })).toBe("1 GVP");
+  expect(t("common.gvps", { count: 1250 })).toBe("1,250 GVPs");
+  expect(t("import.records", { count: 0 })).toBe("0 records");
+});
+
+test("formats numbers in Marathi with Devanagari digits", () => {
+  const { t, formatNumber, formatPercent } = createI18n("mr");
+  expect(t("common.ward", { ward: "12" })).toBe("प्रभाग 12");
+  expect(t("table.selected", { count: 3 })).toBe("३ निवडले");
+  expect(formatNumber(1250)).toBe("१,२५०");
+  expect(formatPercent(12.5)).toBe("१२.५%");
+});
+
+test("falls back to English, then to the key", () => {
+  const { t } = createI18n("xx");
+  expect(t("app.title")).toBe("Nagpur Garbage Dashboard");
+  expect(t("no.such.key")).toBe("no.such.key");
+});
+
+test("labels category names and choice labels in the chosen language", () => {
+  expect(createI18n("mr").valueLabel("Bad Odour")).toBe("दुर्गंधी");
+  expect(createI18n("hi").valueLabel("500 kg to 1 tonne")).toBe("500 किलो से 1 टन");
+  expect(createI18n("hi").valueLabel("Near the temple")).toBe("Near the temple");
+  expect(createI18n("en").valueLabel("Bad Odour")).toBe("Bad Odour");
+  expect(createI18n("mr").valueLabel("Strict Enforcement Measures ")).toBe("कडक अंमलबजावणी");
+});
+
+test("tells which names have no translation", () => {
+  expect(createI18n("mr").hasValueLabel("Residential Area")).toBe(true);
+  expect(createI18n("mr").hasValueLabel("Temple")).toBe(false);
+  expect(createI18n("en").hasValueLabel("Temple")).toBe(true);
+});
+
+test("keeps the chosen language", () => {
+  expect(loadLanguage()).toBe("en");
+  saveLanguage("hi");
+  expect(loadLanguage()).toBe("hi");
+});
+
+test("translates every English message", () => {
+  const englishKeys = keysOf(en).filter((key) => !key.startsWith("values."));
+  [mr, hi].forEach((catalog) => {
+    expect(keysOf(catalog).filter((key) => !key.startsWith("values."))).toEqual(englishKeys);
+  });
+});
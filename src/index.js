@@ -2,10 +2,17 @@ import React from 'react';
 import ReactDOM from 'react-dom/client';
 import './index.css'; // Tailwind directives are inside this file
 import App from './App';
+import { LanguageProvider } from './LanguageContext';
+import * as serviceWorkerRegistration from './serviceWorkerRegistration';
 
 const root = ReactDOM.createRoot(document.getElementById('root'));
 root.render(
   <React.StrictMode>
-    <App />
+    <LanguageProvider>
+      <App />
+    </LanguageProvider>
   </React.StrictMode>
 );
+
+// Caches the app shell and visited map tiles for offline field use
+serviceWorkerRegistration.register();
@@ -0,0 +1,26 @@
+// Where the citizen interview took place (`Record_the_location_area_`, falling back to
+// `Interaction Latitude2`/`Interaction Longitude og`) relative to the GVP it is about.
+
+import { haversineMetres } from "./geo";
+
+export const DEFAULT_INTERVIEW_DISTANCE_METRES = 200;
+
+export const INTERVIEW_DISTANCE_FILTERS = ["all", "exclude", "only"];
+
+// Metres between the interview and the GVP, or null when either wasn't recorded
+export const interviewDistanceMetres = (row) =>
+  row.location && row.interactionLocation
+    ? haversineMetres(row.location, row.interactionLocation)
+    : null;
+
+export const isFarInterview = (row, thresholdMetres) => {
+  const distance = interviewDistanceMetres(row);
+  return distance !== null && distance > thresholdMetres;
+};
+
+// Interviews without a recorded location are never counted as far
+export const matchesInterviewDistanceFilter = (row, filter) => {
+  if (filter.mode === "all") return true;
+  const isFar = isFarInterview(row, filter.thresholdMetres);
+  return filter.mode === "only" ? isFar : !isFar;
+};
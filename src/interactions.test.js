@@ -0,0 +1,20 @@
+import { interviewDistanceMetres, matchesInterviewDistanceFilter } from "./interactions";
+
+const gvp = { lat: 21.1, lng: 79.08 };
+const row = (id, interactionLocation, location = gvp) => ({ id, location, interactionLocation });
+
+test("measures the distance between interview and GVP", () => {
+  expect(interviewDistanceMetres(row("a", { lat: 21.101, lng: 79.08 }))).toBeCloseTo(111.2, 0);
+  expect(interviewDistanceMetres(row("b", null))).toBeNull();
+  expect(interviewDistanceMetres(row("c", gvp, null))).toBeNull();
+});
+
+test("filters interviews held further than the threshold", () => {
+  const data = [row("near", { lat: 21.1005, lng: 79.08 }), row("far", { lat: 21.11, lng: 79.08 }), row("unknown", null)];
+  const ids = (mode) =>
+    data.filter((r) => matchesInterviewDistanceFilter(r, { mode, thresholdMetres: 200 })).map((r) => r.id);
+
+  expect(ids("all")).toEqual(["near", "far", "unknown"]);
+  expect(ids("only")).toEqual(["far"]);
+  expect(ids("exclude")).toEqual(["near", "unknown"]);
+});
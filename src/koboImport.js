@@ -0,0 +1,182 @@
+// In-browser import of KoboToolbox XLSX / CSV exports.
+// Runs the same cleaning that produced public/data_cleaned.json, so an imported
+// export can replace allData without rebuilding the app.
+
+import KOBO_FIELDS from "./koboFields.json";
+
+const MISSING = "N/A";
+
+// Columns that the dashboard cannot work without
+export const REQUIRED_COLUMNS = ["Type_of_Form", "GVP Ward"];
+
+// Free-text answers listing several parties / suggestions are split into 1..3
+const SPLIT_COLUMNS = {
+  "Who Dispose": ["Who Dispose1", "Who Dispose2", "Who Dispose3"],
+  "Solution Suggested by Interviewee": [
+    "Solution Suggested by Interviewee1",
+    "Solution Suggested by Interviewee2",
+    "Solution Suggested by Interviewee3",
+  ],
+};
+
+const isBlank = (value) =>
+  value === null || value === undefined || (typeof value === "string" && value.trim() === "");
+
+// Kobo prefixes grouped questions with their group path ("group_x/Question")
+const stripGroupPath = (header) => {
+  const name = String(header);
+  return name.startsWith("_") ? name : name.split("/").pop();
+};
+
+const toCoordinate = (value) => {
+  if (isBlank(value) || value === MISSING) return null;
+  const number = Number(value);
+  return Number.isFinite(number) && number !== 0 ? number : null;
+};
+
+// Splits "Vendor, people from outside and shop keeper" into its parts (max 3)
+export const splitAnswer = (value, size = 3) => {
+  if (isBlank(value) || value === MISSING) return Array(size).fill(MISSING);
+  const parts = String(value)
+    .split(/\s*,\s*(?:and\s+)?|\s+and\s+/i)
+    .map((part) => part.trim())
+    .filter(Boolean);
+  if (parts.length > size) {
+    parts.splice(size - 1, parts.length, parts.slice(size - 1).join(", "));
+  }
+  return Array.from({ length: size }, (_, i) => parts[i] ?? MISSING);
+};
+
+// Derives GVP Latitude / Longitude from Kobo's split geopoint columns or the raw geopoint,
+// else from the [lat, lng] the data API reports for the submission (_geolocation)
+const deriveGvpCoordinates = (row) => {
+  const geopoint = isBlank(row["Record_the_location_of_GVP"])
+    ? []
+    : String(row["Record_the_location_of_GVP"]).trim().split(/\s+/);
+  const geolocation = Array.isArray(row._geolocation) ? row._geolocation : [];
+
+  const lat =
+    toCoordinate(row["GVP Latitude"]) ??
+    toCoordinate(row["_Record_the_location_of_GVP_latitude"]) ??
+    toCoordinate(geopoint[0]) ??
+    toCoordinate(geolocation[0]);
+  const lng =
+    toCoordinate(row["GVP Longitude"]) ??
+    toCoordinate(row["_Record_the_location_of_GVP_longitude"]) ??
+    toCoordinate(geopoint[1]) ??
+    toCoordinate(geolocation[1]);
+
+  return {
+    "GVP Latitude": lat ?? MISSING,
+    "GVP Longitude": lng ?? MISSING,
+    "_Record_the_location_of_GVP_altitude": isBlank(row["_Record_the_location_of_GVP_altitude"])
+      ? geopoint[2] ?? MISSING
+      : row["_Record_the_location_of_GVP_altitude"],
+    "_Record_the_location_of_GVP_precision": isBlank(row["_Record_the_location_of_GVP_precision"])
+      ? geopoint[3] ?? MISSING
+      : row["_Record_the_location_of_GVP_precision"],
+  };
+};
+
+// Cleans one export row into the data_cleaned.json shape
+export const cleanKoboRow = (sourceRow) => {
+  const row = {};
+  Object.entries(sourceRow).forEach(([header, value]) => {
+    const text = typeof value === "string" ? value.trim() : value;
+    row[stripGroupPath(header)] = isBlank(text) ? MISSING : text;
+  });
+
+  Object.assign(row, deriveGvpCoordinates(row));
+
+  Object.entries(SPLIT_COLUMNS).forEach(([column, targets]) => {
+    const parts = splitAnswer(row[column], targets.length);
+    targets.forEach((target, i) => {
+      row[target] = parts[i];
+    });
+  });
+
+  return row;
+};
+
+// Maps a submission from the Kobo data API, keyed by XLSForm field names, to the
+// export columns cleanKoboRow reads. src/koboFields.json names the form field of
+// each renamed column; select_multiple answers ("organic plastic") become one 1/0
+// column per choice, as in the export.
+export const fromKoboSubmission = (submission, fields = KOBO_FIELDS) => {
+  const row = {};
+  Object.entries(submission).forEach(([field, value]) => {
+    row[stripGroupPath(field)] = value;
+  });
+
+  fields.forEach(({ column, name, choice }) => {
+    if (!name || !(name in row)) return;
+    const value = row[name];
+    if (choice === undefined) {
+      row[column] = value;
+    } else if (choice) {
+      row[column] = isBlank(value) ? MISSING : Number(String(value).split(/\s+/).includes(choice));
+    }
+  });
+  return row;
+};
+
+const hasAnswers = (row) => Object.values(row).some((value) => !isBlank(value));
+
+export const cleanKoboRows = (rows) => rows.filter(hasAnswers).map(cleanKoboRow);
+
+const pad = (number, size = 2) => String(number).padStart(size, "0");
+
+// Date cells as ISO text without offset, the clock time shown in the cell, which is
+// how data_cleaned.json stores Kobo's _submission_time
+const toDateText = (date) => {
+  const ms = date.getMilliseconds();
+  return (
+    `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}` +
+    `T${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}` +
+    (ms > 0 ? `.${pad(ms, 3)}` : "")
+  );
+};
+
+// Reads an XLSX / CSV File into the first sheet's rows
+export const readKoboFile = async (file) => {
+  const XLSX = await import("xlsx");
+  const isCsv = /\.csv$/i.test(file.name) || file.type === "text/csv";
+  // Without cellDates, date cells come back as Excel serial numbers
+  const workbook = isCsv
+    ? XLSX.read(await file.text(), { type: "string", cellDates: true })
+    : XLSX.read(await file.arrayBuffer(), { type: "array", cellDates: true });
+
+  const sheetName = workbook.SheetNames[0];
+  if (!sheetName) throw new Error("The file does not contain any sheet.");
+  return XLSX.utils
+    .sheet_to_json(workbook.Sheets[sheetName], { defval: null, raw: true })
+    .map((row) =>
+      Object.fromEntries(
+        Object.entries(row).map(([header, value]) => [
+          header,
+          value instanceof Date ? toDateText(value) : value,
+        ])
+      )
+    );
+};
+
+// Reads and cleans an export; returns the cleaned rows with a short report. Exports
+// with XLSForm field names as headers go through the same mapping as the data API.
+export const importKoboFile = async (file, fields = KOBO_FIELDS) => {
+  const sourceRows = (await readKoboFile(file))
+    .filter(hasAnswers)
+    .map((row) => fromKoboSubmission(row, fields));
+  const headers = new Set(sourceRows.flatMap(Object.keys));
+  const missingColumns = REQUIRED_COLUMNS.filter((column) => !headers.has(column));
+  if (missingColumns.length > 0) {
+    throw new Error(`Missing column(s): ${missingColumns.join(", ")}`);
+  }
+
+  const rows = cleanKoboRows(sourceRows);
+  return {
+    fileName: file.name,
+    rows,
+    columnCount: headers.size,
+    withoutCoordinates: rows.filter((row) => row["GVP Latitude"] === MISSING).length,
+  };
+};
@@ -0,0 +1,94 @@
+import * as XLSX from "xlsx";
+
+import { cleanKoboRow, cleanKoboRows, importKoboFile, splitAnswer } from "./koboImport";
+
+// A File-like XLSX export of the given rows; Date values are written as date cells
+const xlsxFile = (rows) => {
+  const sheet = XLSX.utils.aoa_to_sheet(rows, { cellDates: true });
+  const data = XLSX.write(
+    { SheetNames: ["Nagpur GVP Mapping"], Sheets: { "Nagpur GVP Mapping": sheet } },
+    { type: "array", bookType: "xlsx" }
+  );
+  return { name: "export.xlsx", type: "", arrayBuffer: async () => data };
+};
+
+test("splits multi-party answers into three columns", () => {
+  expect(splitAnswer("Vendor,  people from outside and shop keeper")).toEqual([
+    "Vendor",
+    "people from outside",
+    "shop keeper",
+  ]);
+  expect(splitAnswer("Proper schedule for collection vehicle,and strictly fine for people")).toEqual([
+    "Proper schedule for collection vehicle",
+    "strictly fine for people",
+    "N/A",
+  ]);
+  expect(splitAnswer("जवळ पास चे लोक आणि रस्त्यावरून जाणारे लोक")).toEqual([
+    "जवळ पास चे लोक आणि रस्त्यावरून जाणारे लोक",
+    "N/A",
+    "N/A",
+  ]);
+  expect(splitAnswer(null)).toEqual(["N/A", "N/A", "N/A"]);
+});
+
+test("cleans an export row into the data_cleaned.json shape", () => {
+  const row = cleanKoboRow({
+    "group_gvp/GVP Ward": "12",
+    Record_the_location_of_GVP: "21.153787 79.02068 294.3 57.4",
+    "Other Waste Found": "  ",
+    "Who Dispose": "Showroom and small stalls",
+    "Solution Suggested by Interviewee": null,
+    _uuid: "8e84ccdc",
+  });
+
+  expect(row["GVP Ward"]).toBe("12");
+  expect(row["GVP Latitude"]).toBe(21.153787);
+  expect(row["GVP Longitude"]).toBe(79.02068);
+  expect(row["_Record_the_location_of_GVP_precision"]).toBe("57.4");
+  expect(row["Other Waste Found"]).toBe("N/A");
+  expect(row["Who Dispose1"]).toBe("Showroom");
+  expect(row["Who Dispose2"]).toBe("small stalls");
+  expect(row["Solution Suggested by Interviewee1"]).toBe("N/A");
+});
+
+test("imports an export with XLSForm field names and date cells", async () => {
+  const fields = [
+    { column: "GVP Ward", name: "gvp_ward" },
+    { column: "Organic and Wet Waste", name: "waste_found", choice: "organic" },
+    { column: "Plastic Paper Glass Waste", name: "waste_found", choice: "plastic" },
+  ];
+  const file = xlsxFile([
+    [
+      "start",
+      "Type_of_Form",
+      "group_gvp/gvp_ward",
+      "group_gvp/waste_found",
+      "group_gvp/Record_the_location_of_GVP",
+      "_submission_time",
+    ],
+    [
+      "2025-07-16T11:45:42.171+05:30",
+      "form_for_gvp",
+      12,
+      "organic other",
+      "21.153787 79.02068 294.3 57.4",
+      new Date(2025, 6, 16, 6, 26, 0),
+    ],
+    [null, null, null, null, null, null],
+  ]);
+
+  const { rows } = await importKoboFile(file, fields);
+  expect(rows).toHaveLength(1);
+  expect(rows[0]["GVP Ward"]).toBe(12);
+  expect(rows[0]["Organic and Wet Waste"]).toBe(1);
+  expect(rows[0]["Plastic Paper Glass Waste"]).toBe(0);
+  expect(rows[0]["GVP Latitude"]).toBe(21.153787);
+  expect(rows[0].start).toBe("2025-07-16T11:45:42.171+05:30");
+  expect(rows[0]._submission_time).toBe("2025-07-16T06:26:00");
+
+  await expect(importKoboFile(file, [])).rejects.toThrow("Missing column(s): GVP Ward");
+});
+
+test("drops empty trailing rows", () => {
+  expect(cleanKoboRows([{ "GVP Ward": 12 }, { "GVP Ward": null }])).toHaveLength(1);
+});
@@ -0,0 +1,19 @@
+// Small JSON values kept in localStorage, such as reviewer decisions. Storage may be
+// full or disabled; reads then fall back and writes only last for the session.
+
+export const readLocal = (key, fallback) => {
+  try {
+    const stored = window.localStorage.getItem(key);
+    return stored === null ? fallback : JSON.parse(stored);
+  } catch (e) {
+    return fallback;
+  }
+};
+
+export const writeLocal = (key, value) => {
+  try {
+    window.localStorage.setItem(key, JSON.stringify(value));
+  } catch (e) {
+    // see above
+  }
+};
@@ -0,0 +1,63 @@
+// Locally generated SVG map marker pins, cached per style so markers don't build a new
+// icon on every render, and the bubbles for clustered markers.
+
+import L from "leaflet";
+
+// Class for markers whose location is uncertain; see index.css
+export const UNCERTAIN_MARKER_CLASS = "gvp-uncertain-marker";
+
+// Class for the markers of selected GVPs; see index.css
+export const SELECTED_MARKER_CLASS = "gvp-selected-marker";
+
+const iconCache = new Map();
+
+// Uncertain locations get a dashed outline and a "?" instead of the dot
+const pinSvg = (color, isUncertain) =>
+  `<svg xmlns="http://www.w3.org/2000/svg" width="25" height="41" viewBox="-1 -1 27 43">` +
+  `<path d="M12.5 0C5.6 0 0 5.6 0 12.5 0 21.9 12.5 41 12.5 41S25 21.9 25 12.5C25 5.6 19.4 0 12.5 0z" ` +
+  `fill="${color}" stroke="#ffffff" stroke-width="1.5"${isUncertain ? ` stroke-dasharray="3 2"` : ""}/>` +
+  (isUncertain
+    ? `<text x="12.5" y="17" text-anchor="middle" font-size="13" font-weight="bold" fill="#ffffff">?</text>`
+    : `<circle cx="12.5" cy="12.5" r="4.5" fill="#ffffff"/>`) +
+  `</svg>`;
+
+export const getPinIcon = (color, isUncertain = false, isSelected = false) => {
+  const key = `${color}|${isUncertain}|${isSelected}`;
+  if (!iconCache.has(key)) {
+    const classNames = [
+      "gvp-pin-icon",
+      isUncertain && UNCERTAIN_MARKER_CLASS,
+      isSelected && SELECTED_MARKER_CLASS,
+    ];
+    iconCache.set(
+      key,
+      L.divIcon({
+        className: classNames.filter(Boolean).join(" "),
+        html: pinSvg(color, isUncertain),
+        iconSize: [25, 41],
+        iconAnchor: [12, 41],
+        popupAnchor: [1, -34],
+      })
+    );
+  }
+  return iconCache.get(key);
+};
+
+// iconCreateFunction for cluster bubbles with the number of points and their summed
+// hath-gadi volume, read from the `hathGadiVolume` option of each clustered marker.
+// The numbers and labels come in the active language: formatNumber(number),
+// volumeLabel(formattedVolume) and titleLabel(count, formattedVolume).
+export const createClusterIconFactory = ({ formatNumber, volumeLabel, titleLabel }) => (cluster) => {
+  const markers = cluster.getAllChildMarkers();
+  const volume = markers.reduce((sum, marker) => sum + (marker.options.hathGadiVolume || 0), 0);
+  const size = markers.length < 10 ? "small" : markers.length < 50 ? "medium" : "large";
+  const formattedVolume = formatNumber(Math.round(volume));
+  return L.divIcon({
+    className: `gvp-cluster-icon gvp-cluster-icon-${size}`,
+    html:
+      `<div title="${titleLabel(markers.length, formattedVolume)}">` +
+      `<span class="gvp-cluster-count">${formatNumber(markers.length)}</span>` +
+      `<span class="gvp-cluster-volume">${volumeLabel(formattedVolume)}</span></div>`,
+    iconSize: size === "small" ? [44, 44] : size === "medium" ? [52, 52] : [60, 60],
+  });
+};
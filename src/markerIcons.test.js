@@ -0,0 +1,22 @@
+import { createClusterIconFactory } from "./markerIcons";
+import { createI18n } from "./i18n";
+
+const cluster = (volumes) => ({
+  getAllChildMarkers: () => volumes.map((hathGadiVolume) => ({ options: { hathGadiVolume } })),
+});
+
+test("labels cluster bubbles in the active language", () => {
+  const { t, formatNumber } = createI18n("mr");
+  const createClusterIcon = createClusterIconFactory({
+    formatNumber,
+    volumeLabel: (volume) => t("map.clusterVolume", { volume }),
+    titleLabel: (count, volume) =>
+      t("map.clusterTitle", { gvps: t("common.gvps", { count }), volume }),
+  });
+
+  const icon = createClusterIcon(cluster([4, 8.4, undefined]));
+  expect(icon.options.className).toBe("gvp-cluster-icon gvp-cluster-icon-small");
+  expect(icon.options.html).toContain('<span class="gvp-cluster-count">३</span>');
+  expect(icon.options.html).toContain('<span class="gvp-cluster-volume">१२ हा.गा.</span>');
+  expect(icon.options.html).not.toContain("HG");
+});
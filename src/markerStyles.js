@@ -0,0 +1,91 @@
+// Marker color modes: each sorts a record into a category shown in the map legend.
+// Ward, volunteer and setting colors come from the dashboard; the categories with a
+// fixed order and color are defined here.
+
+import { choiceLabel } from "./choiceLabels";
+import { HAZARDOUS_WASTE_COLUMNS } from "./heatmap";
+
+export const MARKER_COLOR_MODES = ["ward", "quantity", "setting", "clearance", "hazardous", "volunteer"];
+
+export const UNKNOWN_CATEGORY = "Unknown";
+export const UNKNOWN_COLOR = "#9CA3AF";
+
+// Choice codes are labelled from xlsformChoices.json unless the class has its own label
+const withChoiceLabels = (listName, classes) =>
+  classes.map((entry) => ({ label: choiceLabel(listName, entry.value), ...entry }));
+
+// Kobo choice codes of "Approx Waste Quantity Found at GVP", lightest to heaviest
+export const QUANTITY_BANDS = withChoiceLabels("waste_quantity", [
+  { value: "some_100_kg", color: "#FDE68A" },
+  { value: "below_500_kg", color: "#FB923C" },
+  { value: "_500kg_1_tonne", color: "#DC2626" },
+  { value: "above_1_tonne", color: "#7F1D1D" },
+]);
+
+// "When Waste Cleared Off" choice codes, most to least often; "Not cleared" when the
+// answer to "Does Waste Clear Off" is no
+export const CLEARANCE_CLASSES = withChoiceLabels("clearance_frequency", [
+  { value: "daily", color: "#16A34A" },
+  { value: "every_few_days_once", color: "#84CC16" },
+  { value: "weekly", color: "#EAB308" },
+  { value: "rarely", color: "#F97316" },
+  { value: "not_cleared", label: "Not cleared", color: "#B91C1C" },
+]);
+
+export const HAZARDOUS_CLASSES = [
+  { value: true, label: "Hazardous waste found", color: "#9333EA" },
+  { value: false, label: "No hazardous waste", color: "#60A5FA" },
+];
+
+const labelOf = (classes, value) => {
+  const match = classes.find((entry) => entry.value === value);
+  return match ? match.label : UNKNOWN_CATEGORY;
+};
+
+export const quantityBand = (row) => labelOf(QUANTITY_BANDS, row.quantity);
+
+export const clearanceClass = (row) =>
+  labelOf(CLEARANCE_CLASSES, row.clearsOff === false ? "not_cleared" : row.clearedWhen);
+
+// Found when any hazardous column is ticked, none when they were answered but not ticked
+export const hazardousClass = (row) => {
+  const flags = HAZARDOUS_WASTE_COLUMNS.map((column) => row.wasteTypes[column]);
+  if (flags.includes(true)) return labelOf(HAZARDOUS_CLASSES, true);
+  if (flags.includes(false)) return labelOf(HAZARDOUS_CLASSES, false);
+  return UNKNOWN_CATEGORY;
+};
+
+// A styler gives a record's legend category and marker color, and the legend order
+const classStyler = (classes, classify) => {
+  const colors = Object.fromEntries(classes.map(({ label, color }) => [label, color]));
+  return {
+    categoryOf: classify,
+    colorOf: (row) => colors[classify(row)] || UNKNOWN_COLOR,
+    order: classes.map(({ label }) => label),
+  };
+};
+
+export const FIXED_STYLERS = {
+  quantity: classStyler(QUANTITY_BANDS, quantityBand),
+  clearance: classStyler(CLEARANCE_CLASSES, clearanceClass),
+  hazardous: classStyler(HAZARDOUS_CLASSES, hazardousClass),
+};
+
+// Legend entries for the categories present, in the order of `order` (others by
+// count); a category takes the color of its first record
+export const buildLegend = (rows, { categoryOf, colorOf, order = [] }) => {
+  const entries = new Map();
+  rows.forEach((row) => {
+    const category = categoryOf(row);
+    if (!entries.has(category)) entries.set(category, { label: category, count: 0, color: colorOf(row) });
+    entries.get(category).count += 1;
+  });
+  const rank = (label) => {
+    if (label === UNKNOWN_CATEGORY) return Infinity;
+    const index = order.indexOf(label);
+    return index === -1 ? order.length : index;
+  };
+  return Array.from(entries.values()).sort(
+    (a, b) => rank(a.label) - rank(b.label) || b.count - a.count || a.label.localeCompare(b.label)
+  );
+};
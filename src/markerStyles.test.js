@@ -0,0 +1,48 @@
+import {
+  buildLegend,
+  clearanceClass,
+  FIXED_STYLERS,
+  hazardousClass,
+  quantityBand,
+  UNKNOWN_CATEGORY,
+} from "./markerStyles";
+
+test("sorts records into quantity, clearance and hazardous classes", () => {
+  expect(quantityBand({ quantity: "_500kg_1_tonne" })).toBe("500 kg to 1 tonne");
+  expect(quantityBand({ quantity: null })).toBe(UNKNOWN_CATEGORY);
+
+  expect(clearanceClass({ clearsOff: true, clearedWhen: "weekly" })).toBe("Weekly");
+  expect(clearanceClass({ clearsOff: false, clearedWhen: null })).toBe("Not cleared");
+  expect(clearanceClass({ clearsOff: null, clearedWhen: null })).toBe(UNKNOWN_CATEGORY);
+
+  const wasteTypes = (sanitary, battery) => ({
+    wasteTypes: { "Sanitary and Hazardous Waste": sanitary, "Battery and Bulb Waste": battery },
+  });
+  expect(hazardousClass(wasteTypes(false, true))).toBe("Hazardous waste found");
+  expect(hazardousClass(wasteTypes(false, null))).toBe("No hazardous waste");
+  expect(hazardousClass(wasteTypes(null, null))).toBe(UNKNOWN_CATEGORY);
+});
+
+test("builds legend entries for the categories present", () => {
+  const rows = ["b", "a", "c", "b", null].map((category) => ({ category }));
+  const legend = buildLegend(rows, {
+    categoryOf: (row) => row.category || UNKNOWN_CATEGORY,
+    colorOf: (row) => `color-${row.category || UNKNOWN_CATEGORY}`,
+    order: ["c", "b"],
+  });
+
+  expect(legend).toEqual([
+    { label: "c", count: 1, color: "color-c" },
+    { label: "b", count: 2, color: "color-b" },
+    { label: "a", count: 1, color: "color-a" },
+    { label: UNKNOWN_CATEGORY, count: 1, color: `color-${UNKNOWN_CATEGORY}` },
+  ]);
+});
+
+test("colors records by their fixed class", () => {
+  const { colorOf, order } = FIXED_STYLERS.quantity;
+
+  expect(colorOf({ quantity: "above_1_tonne" })).toBe("#7F1D1D");
+  expect(colorOf({ quantity: "N/A" })).toBe("#9CA3AF");
+  expect(order[0]).toBe("About 100 kg");
+});
@@ -0,0 +1,23 @@
+// Photos and videos attached to a GVP record, for the media gallery. Kobo serves
+// attachments from /media/original; /media/small is its thumbnail of the same file.
+
+export const MEDIA_FIELDS = [
+  { key: "photo", kind: "photo" },
+  { key: "gvpPhoto", kind: "photo" },
+  { key: "narrowRoadPhoto", kind: "photo" },
+  { key: "interactionPhoto", kind: "photo" },
+  { key: "video", kind: "video" },
+];
+
+// [{ key, kind, url }] in MEDIA_FIELDS order; a file attached twice is listed once
+export const mediaItems = (row) => {
+  const seen = new Set();
+  return MEDIA_FIELDS.filter(({ key }) => {
+    const url = row.media[key];
+    if (!url || seen.has(url)) return false;
+    seen.add(url);
+    return true;
+  }).map((field) => ({ ...field, url: row.media[field.key] }));
+};
+
+export const thumbnailUrl = (url) => url.replace("/media/original?", "/media/small?");
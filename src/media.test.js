@@ -0,0 +1,27 @@
+import { mediaItems, thumbnailUrl } from "./media";
+
+const KOBO_PHOTO = "https://kc.kobotoolbox.org/media/original?media_file=a%2Fphoto.jpg";
+
+test("lists a record's photos and video once each", () => {
+  const row = {
+    media: {
+      photo: KOBO_PHOTO,
+      video: "https://kc.kobotoolbox.org/media/original?media_file=a%2Fclip.mp4",
+      interactionPhoto: "https://example.org/people.jpg",
+      gvpPhoto: KOBO_PHOTO,
+      narrowRoadPhoto: null,
+    },
+  };
+
+  expect(mediaItems(row).map(({ key, kind }) => `${key}:${kind}`)).toEqual([
+    "photo:photo",
+    "interactionPhoto:photo",
+    "video:video",
+  ]);
+  expect(mediaItems({ media: {} })).toEqual([]);
+});
+
+test("uses Kobo's small size for thumbnails", () => {
+  expect(thumbnailUrl(KOBO_PHOTO)).toBe("https://kc.kobotoolbox.org/media/small?media_file=a%2Fphoto.jpg");
+  expect(thumbnailUrl("https://example.org/people.jpg")).toBe("https://example.org/people.jpg");
+});
@@ -0,0 +1,226 @@
+// Normalization of raw Kobo survey rows (data_cleaned.json) into typed GVP records.
+// Every record is normalized once on load; aggregators and components only read
+// the typed fields below and never the raw Kobo values.
+
+// Flag columns, keyed by their raw Kobo column names
+export const WASTE_TYPE_COLUMNS = [
+  "Organic and Wet Waste",
+  "Plastic Paper Glass Waste",
+  "Sanitary and Hazardous Waste",
+  "Battery and Bulb Waste",
+  "Construction and Demolition Waste",
+  "Clothes Waste",
+  "Carcasses Waste",
+  "Others",
+];
+
+export const PROBLEM_COLUMNS = [
+  "Bad Odour",
+  "Mosquitos",
+  "Stray Animals",
+  "Congestion",
+  "Other",
+];
+
+export const REASON_COLUMNS = [
+  "No Regular Collection Vehicle",
+  "Random People Throwing Garbage",
+  "Due To User Fee",
+  "Mismatch of Vehicle Time",
+  "Due to Narrow Road",
+  "Because of Market and Street Vendors",
+];
+
+const MISSING_VALUES = ["", "n/a", "na", "null", "undefined"];
+
+const isMissing = (value) =>
+  value === null ||
+  value === undefined ||
+  (typeof value === "number" && Number.isNaN(value)) ||
+  (typeof value === "string" && MISSING_VALUES.includes(value.trim().toLowerCase()));
+
+// Free text: N/A and blanks become null, line breaks are flattened
+export const toText = (value) => {
+  if (isMissing(value)) return null;
+  const text = String(value).replace(/\r|\n/g, " ").trim();
+  return text === "" ? null : text;
+};
+
+// Numbers stored as numbers or strings ("1", "1.0", "57.4")
+export const toNumber = (value) => {
+  if (isMissing(value)) return null;
+  if (typeof value === "number") return Number.isFinite(value) ? value : null;
+  const number = Number(String(value).trim());
+  return Number.isFinite(number) ? number : null;
+};
+
+// Head counts may list several groups ("1,3"), which are added up
+export const toCount = (value) => {
+  if (isMissing(value)) return null;
+  if (typeof value === "number") return Number.isFinite(value) ? value : null;
+  const parts = String(value)
+    .split(",")
+    .map((part) => toNumber(part))
+    .filter((part) => part !== null);
+  return parts.length > 0 ? parts.reduce((sum, part) => sum + part, 0) : null;
+};
+
+// Multi-valued answers such as ages ("63, 60")
+export const toNumberList = (value) => {
+  if (isMissing(value)) return [];
+  if (typeof value === "number") return Number.isFinite(value) ? [value] : [];
+  return String(value)
+    .split(",")
+    .map((part) => toNumber(part))
+    .filter((part) => part !== null);
+};
+
+// Select-one flags: 1 / "1" / "1.0" / true / "yes" -> true, 0 / "no" -> false, N/A -> null
+export const toFlag = (value) => {
+  if (isMissing(value)) return null;
+  if (typeof value === "boolean") return value;
+  if (typeof value === "number") return value !== 0;
+  const text = String(value).trim().toLowerCase();
+  if (["yes", "true", "y"].includes(text)) return true;
+  if (["no", "false", "n"].includes(text)) return false;
+  const number = Number(text);
+  return Number.isFinite(number) ? number !== 0 : null;
+};
+
+// Kobo timestamps; _submission_time carries no offset and is stored in UTC
+export const toDate = (value) => {
+  const text = toText(value);
+  if (!text) return null;
+  const hasOffset = /(Z|[+-]\d{2}:?\d{2})$/.test(text);
+  const date = new Date(hasOffset || !text.includes("T") ? text : `${text}Z`);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+// Coordinates of 0 are what Kobo writes when no point was captured
+const toCoordinate = (value) => {
+  const number = toNumber(value);
+  return number === null || number === 0 ? null : number;
+};
+
+// Kobo geopoint string: "lat lng altitude precision"
+export const parseGeopoint = (value) => {
+  const text = toText(value);
+  if (!text) return null;
+  const [lat, lng, altitude, precision] = text.split(/\s+/).map(toNumber);
+  if (toCoordinate(lat) === null || toCoordinate(lng) === null) return null;
+  return {
+    lat,
+    lng,
+    altitude: altitude ?? null,
+    precision: precision ?? null,
+  };
+};
+
+// Structured location from the geopoint string, falling back to the split columns
+const buildLocation = (geopoint, lat, lng, altitude, precision) => {
+  const parsed = parseGeopoint(geopoint);
+  const fallback = {
+    lat: toCoordinate(lat),
+    lng: toCoordinate(lng),
+    altitude: toNumber(altitude),
+    precision: toNumber(precision),
+  };
+  if (!parsed) {
+    return fallback.lat !== null && fallback.lng !== null ? fallback : null;
+  }
+  return {
+    lat: parsed.lat,
+    lng: parsed.lng,
+    altitude: parsed.altitude ?? fallback.altitude,
+    precision: parsed.precision ?? fallback.precision,
+  };
+};
+
+const toFlags = (raw, columns) =>
+  columns.reduce((acc, column) => {
+    acc[column] = toFlag(raw[column]);
+    return acc;
+  }, {});
+
+const toTextList = (raw, columns) =>
+  columns.map((column) => toText(raw[column])).filter(Boolean);
+
+export const normalizeRecord = (raw) => {
+  const uuid = toText(raw._uuid);
+  const koboId = toNumber(raw._id);
+
+  return {
+    id: uuid || (koboId !== null ? String(koboId) : null),
+    uuid,
+    koboId,
+    formType: toText(raw["Type_of_Form"]),
+    volunteer: toText(raw["Name_of_the_Volunteer"]),
+    start: toDate(raw.start),
+    end: toDate(raw.end),
+    submittedAt: toDate(raw._submission_time),
+
+    // GVP information
+    ward: toNumber(raw["GVP Ward"]),
+    nearestLocation: toText(raw["Nearest Location"]),
+    comments: toText(raw["Comments On GVP"]),
+    setting: toText(raw["In_what_setting_is_the_GVP_pre"]),
+    area: toText(raw["Kindly_specify_the_area"]),
+    wasteTypes: toFlags(raw, WASTE_TYPE_COLUMNS),
+    otherWaste: toText(raw["Other Waste Found"]),
+    quantity: toText(raw["Approx Waste Quantity Found at GVP"]),
+    location: buildLocation(
+      raw["Record_the_location_of_GVP"],
+      raw["GVP Latitude"],
+      raw["GVP Longitude"],
+      raw["_Record_the_location_of_GVP_altitude"],
+      raw["_Record_the_location_of_GVP_precision"]
+    ),
+
+    // Citizen interaction
+    interactionMode: toText(raw["IInteraction_with_citizen"]),
+    interactionLocationName: toText(raw["Nearest Location Interaction"]),
+    interactionLocation: buildLocation(
+      raw["Record_the_location_area_"],
+      raw["Interaction Latitude2"],
+      raw["Interaction Longitude og"],
+      raw["_Record_the_location_area__altitude"],
+      raw["_Record_the_location_area__precision"]
+    ),
+    women: toCount(raw["No of Women"]),
+    men: toCount(raw["No of Men"]),
+    ages: toNumberList(raw["Age_of_the_Person_Individual_"]),
+    noticeFrequency: toText(raw["Notice Frequency"]),
+    whoDispose: toText(raw["Who Dispose"]),
+    whoDisposeParts: toTextList(raw, ["Who Dispose1", "Who Dispose2", "Who Dispose3"]),
+    reasons: toFlags(raw, REASON_COLUMNS),
+    clearsOff: toFlag(raw["Does Waste Clear Off"]),
+    clearedWhen: toText(raw["When Waste Cleared Off"]),
+    problems: toFlags(raw, PROBLEM_COLUMNS),
+    otherProblem: toText(raw["Other Problem Face"]),
+    civicSession: toText(raw["Civic Authority Conduct Any Session"]),
+    complained: toFlag(raw["Have Interviewees Complained to Authority"]),
+    experience: toText(raw["If Yes How Was Your Experience "]),
+    disposeWhere: toText(raw["Where Interviewee Dispose Their Waste"]),
+    solution: toText(raw["Solution Suggested by Interviewee"]),
+    solutionParts: toTextList(raw, [
+      "Solution Suggested by Interviewee1",
+      "Solution Suggested by Interviewee2",
+      "Solution Suggested by Interviewee3",
+    ]),
+    cleanupWilling: toFlag(raw["Would You Be Willing To Participate In Community Cleanup"]),
+
+    // Media
+    media: {
+      photo: toText(raw["Photo URL"]),
+      video: toText(raw["Video URL"]),
+      interactionPhoto: toText(raw["Interaction Photo Url"]),
+      gvpPhoto: toText(raw["Click_the_picture_of_GVP_if_po_URL"]),
+      narrowRoadPhoto: toText(raw["Photo_of_the_Narrow_Road_URL"]),
+    },
+
+    raw,
+  };
+};
+
+export const normalizeRecords = (rows) =>
+  (Array.isArray(rows) ? rows : []).map(normalizeRecord);
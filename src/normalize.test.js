@@ -0,0 +1,68 @@
+import { normalizeRecord, toCount, toDate, toFlag, parseGeopoint } from "./normalize";
+
+test("parses Kobo flags regardless of how they were stored", () => {
+  expect(toFlag(1)).toBe(true);
+  expect(toFlag("1.0")).toBe(true);
+  expect(toFlag(true)).toBe(true);
+  expect(toFlag("yes")).toBe(true);
+  expect(toFlag(0)).toBe(false);
+  expect(toFlag("no")).toBe(false);
+  expect(toFlag("N/A")).toBeNull();
+});
+
+test("adds up head counts listed per group", () => {
+  expect(toCount("1")).toBe(1);
+  expect(toCount("1,3")).toBe(4);
+  expect(toCount("N/A")).toBeNull();
+});
+
+test("reads offset-less submission times as UTC", () => {
+  expect(toDate("2025-07-16T06:26:00").toISOString()).toBe("2025-07-16T06:26:00.000Z");
+  expect(toDate("2025-07-16T11:55:50.396+05:30").toISOString()).toBe(
+    "2025-07-16T06:25:50.396Z"
+  );
+});
+
+test("parses the geopoint string into a structured location", () => {
+  expect(parseGeopoint("21.153787 79.02068 294.3 57.4")).toEqual({
+    lat: 21.153787,
+    lng: 79.02068,
+    altitude: 294.3,
+    precision: 57.4,
+  });
+  expect(parseGeopoint("N/A")).toBeNull();
+});
+
+test("normalizes a raw survey row", () => {
+  const row = normalizeRecord({
+    _id: 518045586,
+    _uuid: "8e84ccdc",
+    "GVP Ward": "12",
+    "Nearest Location": "Lawa dhaba\r\nboard",
+    "Bad Odour": "1.0",
+    Mosquitos: "N/A",
+    "Random People Throwing Garbage": 1,
+    "Does Waste Clear Off": "no",
+    "No of Men": "1,3",
+    Record_the_location_of_GVP: "N/A",
+    "GVP Latitude": 21.14,
+    "GVP Longitude": 79.05,
+    _Record_the_location_of_GVP_precision: "N/A",
+    "Interaction Latitude2": 0,
+    "Interaction Longitude og": 0,
+    "Who Dispose1": "Showroom",
+    "Who Dispose2": "N/A",
+  });
+
+  expect(row.id).toBe("8e84ccdc");
+  expect(row.ward).toBe(12);
+  expect(row.nearestLocation).toBe("Lawa dhaba  board");
+  expect(row.problems["Bad Odour"]).toBe(true);
+  expect(row.problems.Mosquitos).toBeNull();
+  expect(row.reasons["Random People Throwing Garbage"]).toBe(true);
+  expect(row.clearsOff).toBe(false);
+  expect(row.men).toBe(4);
+  expect(row.location).toEqual({ lat: 21.14, lng: 79.05, altitude: null, precision: null });
+  expect(row.interactionLocation).toBeNull();
+  expect(row.whoDisposeParts).toEqual(["Showroom"]);
+});
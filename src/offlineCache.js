@@ -0,0 +1,72 @@
+// IndexedDB cache of the last loaded dataset, so a reload without network still
+// renders the cards, table, charts and markers (they are all derived from it).
+// Raw rows are stored and re-normalized on load, so the cache survives changes
+// to the typed record shape.
+
+import { useEffect, useState } from "react";
+
+const DB_NAME = "gvp-dashboard";
+const DB_VERSION = 1;
+const STORE_NAME = "snapshots";
+const SNAPSHOT_KEY = "latest";
+
+const openDb = () =>
+  new Promise((resolve, reject) => {
+    if (typeof indexedDB === "undefined") {
+      reject(new Error("IndexedDB is not available."));
+      return;
+    }
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => request.result.createObjectStore(STORE_NAME);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+const runRequest = (mode, makeRequest) =>
+  openDb().then(
+    (db) =>
+      new Promise((resolve, reject) => {
+        const transaction = db.transaction(STORE_NAME, mode);
+        const request = makeRequest(transaction.objectStore(STORE_NAME));
+        transaction.oncomplete = () => {
+          db.close();
+          resolve(request.result);
+        };
+        transaction.onerror = () => {
+          db.close();
+          reject(transaction.error);
+        };
+      })
+  );
+
+// { rows, source, lastSubmissionTime, lastSyncedAt } or null; never rejects
+export const loadSnapshot = () =>
+  runRequest("readonly", (store) => store.get(SNAPSHOT_KEY))
+    .then((snapshot) => snapshot || null)
+    .catch(() => null);
+
+// Failing to cache must never break the dashboard, so errors are only logged
+export const saveSnapshot = (snapshot) =>
+  runRequest("readwrite", (store) => store.put(snapshot, SNAPSHOT_KEY)).catch((err) => {
+    console.warn("Could not cache the dataset for offline use:", err);
+  });
+
+// navigator.onLine, kept up to date through the online / offline events
+export const useOnlineStatus = () => {
+  const [isOnline, setIsOnline] = useState(
+    typeof navigator === "undefined" ? true : navigator.onLine
+  );
+
+  useEffect(() => {
+    const handleOnline = () => setIsOnline(true);
+    const handleOffline = () => setIsOnline(false);
+    window.addEventListener("online", handleOnline);
+    window.addEventListener("offline", handleOffline);
+    return () => {
+      window.removeEventListener("online", handleOnline);
+      window.removeEventListener("offline", handleOffline);
+    };
+  }, []);
+
+  return isOnline;
+};
@@ -0,0 +1,42 @@
+// Selected GVPs, kept by record id (the Kobo `_uuid`) so a selection follows the
+// record through sorting and filtering. The anchor is the last GVP clicked, where a
+// shift-click range starts.
+
+export const EMPTY_SELECTION = { ids: [], anchorId: null };
+
+// A plain click selects just that GVP, or clears the selection when it was the only
+// one; ctrl/cmd-click adds or removes it; shift-click selects the GVPs from the anchor
+// to it, in the given order.
+export const updateSelection = (selection, id, { toggle = false, range = false, orderedIds = [] } = {}) => {
+  if (range && selection.anchorId !== null) {
+    const from = orderedIds.indexOf(selection.anchorId);
+    const to = orderedIds.indexOf(id);
+    if (from !== -1 && to !== -1) {
+      return {
+        ids: orderedIds.slice(Math.min(from, to), Math.max(from, to) + 1),
+        anchorId: selection.anchorId,
+      };
+    }
+  }
+  if (toggle || range) {
+    const ids = selection.ids.includes(id)
+      ? selection.ids.filter((selectedId) => selectedId !== id)
+      : [...selection.ids, id];
+    return { ids, anchorId: id };
+  }
+  const isOnlySelected = selection.ids.length === 1 && selection.ids[0] === id;
+  return { ids: isOnlySelected ? [] : [id], anchorId: id };
+};
+
+// Reads the modifier keys of a click on a table row or map marker
+export const selectionModifiers = (event) => ({
+  toggle: Boolean(event && (event.ctrlKey || event.metaKey)),
+  range: Boolean(event && event.shiftKey),
+});
+
+// Drops selected GVPs that are no longer visible; the same object when none are
+export const keepVisibleSelection = (selection, visibleIds) => {
+  const ids = selection.ids.filter((id) => visibleIds.has(id));
+  if (ids.length === selection.ids.length) return selection;
+  return { ids, anchorId: visibleIds.has(selection.anchorId) ? selection.anchorId : null };
+};
@@ -0,0 +1,34 @@
+import { EMPTY_SELECTION, keepVisibleSelection, selectionModifiers, updateSelection } from "./selection";
+
+const orderedIds = ["a", "b", "c", "d"];
+
+test("selects one GVP on a plain click and clears it on a second", () => {
+  const selected = updateSelection(EMPTY_SELECTION, "b");
+
+  expect(selected).toEqual({ ids: ["b"], anchorId: "b" });
+  expect(updateSelection(selected, "c")).toEqual({ ids: ["c"], anchorId: "c" });
+  expect(updateSelection(selected, "b").ids).toEqual([]);
+});
+
+test("adds and removes GVPs with ctrl-click and selects ranges with shift-click", () => {
+  let selection = updateSelection(EMPTY_SELECTION, "b");
+  selection = updateSelection(selection, "d", { toggle: true });
+  expect(selection.ids).toEqual(["b", "d"]);
+  expect(updateSelection(selection, "b", { toggle: true }).ids).toEqual(["d"]);
+
+  selection = updateSelection(selection, "a", { range: true, orderedIds });
+  expect(selection).toEqual({ ids: ["a", "b", "c", "d"], anchorId: "d" });
+  expect(updateSelection(EMPTY_SELECTION, "c", { range: true, orderedIds }).ids).toEqual(["c"]);
+});
+
+test("reads modifier keys from click events", () => {
+  expect(selectionModifiers({ metaKey: true })).toEqual({ toggle: true, range: false });
+  expect(selectionModifiers(undefined)).toEqual({ toggle: false, range: false });
+});
+
+test("keeps only the selected GVPs that are still visible", () => {
+  const selection = { ids: ["a", "c"], anchorId: "c" };
+
+  expect(keepVisibleSelection(selection, new Set(orderedIds))).toBe(selection);
+  expect(keepVisibleSelection(selection, new Set(["a", "b"]))).toEqual({ ids: ["a"], anchorId: null });
+});
@@ -0,0 +1,55 @@
+/* eslint-disable no-restricted-globals */
+
+// Service worker for offline field use. CRA compiles this file with Workbox's
+// InjectManifest on `npm run build`; it is registered from src/index.js.
+// - the app shell is precached so a reload without network still renders
+// - visited OpenStreetMap tiles are kept for offline maps (the pins are inline SVG)
+// - the dataset itself is cached in IndexedDB by src/offlineCache.js
+
+import { clientsClaim } from "workbox-core";
+import { ExpirationPlugin } from "workbox-expiration";
+import { CacheableResponsePlugin } from "workbox-cacheable-response";
+import { precacheAndRoute, createHandlerBoundToURL } from "workbox-precaching";
+import { registerRoute } from "workbox-routing";
+import { CacheFirst, NetworkFirst } from "workbox-strategies";
+
+clientsClaim();
+
+precacheAndRoute(self.__WB_MANIFEST);
+
+// Navigations are answered with index.html (single page app)
+const fileExtensionRegexp = new RegExp("/[^/?]+\\.[^/]+$");
+registerRoute(({ request, url }) => {
+  if (request.mode !== "navigate") return false;
+  if (url.pathname.startsWith("/_")) return false;
+  if (url.pathname.match(fileExtensionRegexp)) return false;
+  return true;
+}, createHandlerBoundToURL(process.env.PUBLIC_URL + "/index.html"));
+
+// Map tiles: cross-origin, so opaque responses (status 0) are cached too
+registerRoute(
+  ({ url }) => /(^|\.)tile\.openstreetmap\.org$/.test(url.hostname),
+  new CacheFirst({
+    cacheName: "map-tiles",
+    plugins: [
+      new CacheableResponsePlugin({ statuses: [0, 200] }),
+      new ExpirationPlugin({ maxEntries: 3000, maxAgeSeconds: 30 * 24 * 60 * 60 }),
+    ],
+  })
+);
+
+// The bundled dataset and ward boundaries: fresh when online, last copy when offline
+registerRoute(
+  ({ url }) =>
+    url.origin === self.location.origin &&
+    (url.pathname.endsWith("/data_cleaned.json") ||
+      url.pathname.endsWith("/ward_boundaries.geojson")),
+  new NetworkFirst({ cacheName: "dataset", networkTimeoutSeconds: 5 })
+);
+
+// Lets a waiting worker take over when the page asks for it
+self.addEventListener("message", (event) => {
+  if (event.data && event.data.type === "SKIP_WAITING") {
+    self.skipWaiting();
+  }
+});
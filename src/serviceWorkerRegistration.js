@@ -0,0 +1,79 @@
+// Registers src/service-worker.js in production builds so the dashboard keeps
+// working without network. Based on Create React App's PWA template.
+
+const isLocalhost = Boolean(
+  window.location.hostname === "localhost" ||
+    // [::1] is the IPv6 localhost address.
+    window.location.hostname === "[::1]" ||
+    // 127.0.0.0/8 are considered localhost for IPv4.
+    window.location.hostname.match(/^127(?:\.(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)){3}$/)
+);
+
+const registerValidSW = (swUrl, config) => {
+  navigator.serviceWorker
+    .register(swUrl)
+    .then((registration) => {
+      registration.onupdatefound = () => {
+        const installingWorker = registration.installing;
+        if (installingWorker == null) return;
+        installingWorker.onstatechange = () => {
+          if (installingWorker.state !== "installed") return;
+          if (navigator.serviceWorker.controller) {
+            // New content is available and will be used when all tabs are closed
+            if (config && config.onUpdate) config.onUpdate(registration);
+          } else if (config && config.onSuccess) {
+            // Content is cached for offline use
+            config.onSuccess(registration);
+          }
+        };
+      };
+    })
+    .catch((error) => {
+      console.error("Error during service worker registration:", error);
+    });
+};
+
+// On localhost, make sure a service worker still exists before registering it
+const checkValidServiceWorker = (swUrl, config) => {
+  fetch(swUrl, { headers: { "Service-Worker": "script" } })
+    .then((response) => {
+      const contentType = response.headers.get("content-type");
+      if (response.status === 404 || (contentType != null && contentType.indexOf("javascript") === -1)) {
+        navigator.serviceWorker.ready.then((registration) => {
+          registration.unregister().then(() => {
+            window.location.reload();
+          });
+        });
+      } else {
+        registerValidSW(swUrl, config);
+      }
+    })
+    .catch(() => {
+      console.log("No internet connection found. App is running in offline mode.");
+    });
+};
+
+export const register = (config) => {
+  if (process.env.NODE_ENV !== "production" || !("serviceWorker" in navigator)) return;
+
+  const publicUrl = new URL(process.env.PUBLIC_URL, window.location.href);
+  // The service worker won't work if PUBLIC_URL is on a different origin
+  if (publicUrl.origin !== window.location.origin) return;
+
+  window.addEventListener("load", () => {
+    const swUrl = `${process.env.PUBLIC_URL}/service-worker.js`;
+    if (isLocalhost) {
+      checkValidServiceWorker(swUrl, config);
+    } else {
+      registerValidSW(swUrl, config);
+    }
+  });
+};
+
+export const unregister = () => {
+  if ("serviceWorker" in navigator) {
+    navigator.serviceWorker.ready
+      .then((registration) => registration.unregister())
+      .catch((error) => console.error(error.message));
+  }
+};
@@ -0,0 +1,87 @@
+// Timing audit of survey submissions: flags interviews that were implausibly
+// short, overlap another interview by the same volunteer, or were uploaded
+// long after they ended.
+
+import { interviewDurationMinutes, volunteerName } from "./volunteers";
+
+// A threshold of null turns its check off
+export const DEFAULT_AUDIT_SETTINGS = {
+  minDurationMinutes: 3,
+  maxSubmissionDelayHours: 24,
+};
+
+// Flags auditTiming can raise, labelled by the qa.flags messages
+export const AUDIT_FLAGS = ["tooShort", "overlap", "lateSubmission"];
+
+// "all" keeps every row, "exclude" drops flagged rows, "only" keeps just the flagged ones
+export const QA_FILTERS = ["all", "exclude", "only"];
+
+const hoursBetween = (from, to) => (to.getTime() - from.getTime()) / 3600000;
+
+// Map of record id -> { durationMinutes, gapMinutes, submissionDelayHours, flags }
+export const auditTiming = (data, settings = DEFAULT_AUDIT_SETTINGS) => {
+  const audit = new Map();
+
+  data.forEach((row) => {
+    const durationMinutes = interviewDurationMinutes(row);
+    const submissionDelayHours =
+      row.end && row.submittedAt ? hoursBetween(row.end, row.submittedAt) : null;
+
+    const flags = [];
+    const { minDurationMinutes, maxSubmissionDelayHours } = settings;
+    if (durationMinutes !== null && minDurationMinutes !== null && durationMinutes < minDurationMinutes) {
+      flags.push("tooShort");
+    }
+    if (
+      submissionDelayHours !== null &&
+      maxSubmissionDelayHours !== null &&
+      submissionDelayHours > maxSubmissionDelayHours
+    ) {
+      flags.push("lateSubmission");
+    }
+    audit.set(row.id, { durationMinutes, gapMinutes: null, submissionDelayHours, flags });
+  });
+
+  // Consecutive interviews of each volunteer, in start order
+  const byVolunteer = {};
+  data
+    .filter((row) => row.start && row.end)
+    .forEach((row) => {
+      const name = volunteerName(row);
+      (byVolunteer[name] = byVolunteer[name] || []).push(row);
+    });
+
+  const flagOverlap = (row) => {
+    const entry = audit.get(row.id);
+    if (!entry.flags.includes("overlap")) entry.flags.push("overlap");
+  };
+
+  Object.values(byVolunteer).forEach((rows) => {
+    rows.sort((a, b) => a.start - b.start);
+    rows.forEach((row, index) => {
+      if (index > 0) {
+        audit.get(row.id).gapMinutes = (row.start - rows[index - 1].end) / 60000;
+      }
+      // Started before an earlier interview of the same volunteer had ended
+      rows.slice(0, index).forEach((earlier) => {
+        if (row.start < earlier.end) {
+          flagOverlap(row);
+          flagOverlap(earlier);
+        }
+      });
+    });
+  });
+
+  return audit;
+};
+
+export const isFlagged = (audit, row) => {
+  const entry = audit.get(row.id);
+  return Boolean(entry && entry.flags.length > 0);
+};
+
+export const matchesQaFilter = (audit, row, qaFilter) => {
+  if (qaFilter === "exclude") return !isFlagged(audit, row);
+  if (qaFilter === "only") return isFlagged(audit, row);
+  return true;
+};
@@ -0,0 +1,47 @@
+import { auditTiming, matchesQaFilter } from "./timingAudit";
+
+const at = (time) => new Date(`2025-07-16T${time}:00+05:30`);
+
+const row = (id, volunteer, start, end, submitted = end) => ({
+  id,
+  volunteer,
+  start: at(start),
+  end: at(end),
+  submittedAt: at(submitted),
+});
+
+test("flags short, overlapping and late submissions", () => {
+  const data = [
+    row("a", "Mohit", "10:00", "10:20"),
+    row("b", "Mohit", "10:10", "10:30"),
+    row("c", "Mohit", "11:00", "11:02"),
+    row("d", "Sneha", "10:05", "10:25", "23:59"),
+  ];
+  const audit = auditTiming(data, { minDurationMinutes: 3, maxSubmissionDelayHours: 6 });
+
+  expect(audit.get("a").flags).toEqual(["overlap"]);
+  expect(audit.get("b").flags).toEqual(["overlap"]);
+  expect(audit.get("c").flags).toEqual(["tooShort"]);
+  expect(audit.get("c").gapMinutes).toBe(30);
+  expect(audit.get("d").flags).toEqual(["lateSubmission"]);
+  expect(audit.get("d").gapMinutes).toBeNull();
+});
+
+test("skips checks whose threshold is cleared", () => {
+  const data = [row("a", "Mohit", "10:00", "10:01", "23:00")];
+
+  const flags = (settings) => auditTiming(data, settings).get("a").flags;
+
+  expect(flags({ minDurationMinutes: null, maxSubmissionDelayHours: null })).toEqual([]);
+  expect(flags({ minDurationMinutes: null, maxSubmissionDelayHours: 6 })).toEqual(["lateSubmission"]);
+  expect(flags({ minDurationMinutes: 3, maxSubmissionDelayHours: null })).toEqual(["tooShort"]);
+});
+
+test("filters rows by their QA result", () => {
+  const data = [row("a", "Mohit", "10:00", "10:01"), row("b", "Mohit", "11:00", "11:20")];
+  const audit = auditTiming(data);
+
+  expect(data.filter((r) => matchesQaFilter(audit, r, "all")).map((r) => r.id)).toEqual(["a", "b"]);
+  expect(data.filter((r) => matchesQaFilter(audit, r, "exclude")).map((r) => r.id)).toEqual(["b"]);
+  expect(data.filter((r) => matchesQaFilter(audit, r, "only")).map((r) => r.id)).toEqual(["a"]);
+});
@@ -0,0 +1,124 @@
+// Dashboard state in the URL query string, so a link reopens the same view: the
+// filters, the selected GVPs and the map view. Defaults are left out of the URL.
+
+import { EMPTY_ATTRIBUTE_FILTER, FILTER_COMBINATIONS, FILTER_DIMENSIONS } from "./attributeFilters";
+import { DEFAULT_INTERVIEW_DISTANCE_METRES, INTERVIEW_DISTANCE_FILTERS } from "./interactions";
+import { QA_FILTERS } from "./timingAudit";
+
+export const DEFAULT_MAP_VIEW = { lat: 21.135, lng: 79.085, zoom: 13 };
+
+export const DEFAULT_URL_STATE = {
+  selectedWards: [],
+  dateRange: { from: null, to: null },
+  qaFilter: "all",
+  interviewFilter: { mode: "all", thresholdMetres: DEFAULT_INTERVIEW_DISTANCE_METRES },
+  attributeFilter: EMPTY_ATTRIBUTE_FILTER,
+  crossFilters: [],
+  selectedIds: [],
+  mapView: DEFAULT_MAP_VIEW,
+};
+
+const DAY_KEY = /^\d{4}-\d{2}-\d{2}$/;
+
+const dimensionKeys = FILTER_DIMENSIONS.map(({ key }) => key);
+
+const listParam = (params, name) => (params.get(name) || "").split(",").filter(Boolean);
+
+const numberParam = (params, name) => {
+  const value = params.get(name);
+  return value !== null && value !== "" && Number.isFinite(Number(value)) ? Number(value) : null;
+};
+
+const dayParam = (params, name) => {
+  const value = params.get(name);
+  return value && DAY_KEY.test(value) ? value : null;
+};
+
+const parseMapView = (params) => {
+  const [lat, lng, zoom] = listParam(params, "map").map(Number);
+  return [lat, lng, zoom].every(Number.isFinite) ? { lat, lng, zoom } : DEFAULT_MAP_VIEW;
+};
+
+// Unknown or malformed parameters fall back to their defaults
+export const parseUrlState = (search) => {
+  const params = new URLSearchParams(search);
+  const thresholdMetres = numberParam(params, "interviewMetres");
+
+  const selections = {};
+  dimensionKeys.forEach((key) => {
+    const values = params.getAll(key).filter(Boolean);
+    if (values.length > 0) selections[key] = values;
+  });
+  const matchAll = {};
+  listParam(params, "matchAll")
+    .filter((key) => dimensionKeys.includes(key))
+    .forEach((key) => {
+      matchAll[key] = true;
+    });
+
+  const crossFilters = params
+    .getAll("chart")
+    .map((filter) => {
+      const separator = filter.indexOf(":");
+      return { key: filter.slice(0, separator), value: filter.slice(separator + 1) };
+    })
+    .filter(({ key, value }) => dimensionKeys.includes(key) && value);
+
+  return {
+    selectedWards: listParam(params, "wards"),
+    dateRange: { from: dayParam(params, "from"), to: dayParam(params, "to") },
+    qaFilter: QA_FILTERS.includes(params.get("qa")) ? params.get("qa") : "all",
+    interviewFilter: {
+      mode: INTERVIEW_DISTANCE_FILTERS.includes(params.get("interview"))
+        ? params.get("interview")
+        : "all",
+      thresholdMetres: thresholdMetres > 0 ? thresholdMetres : DEFAULT_INTERVIEW_DISTANCE_METRES,
+    },
+    attributeFilter: {
+      combine: FILTER_COMBINATIONS.includes(params.get("combine")) ? params.get("combine") : "and",
+      selections,
+      matchAll,
+    },
+    crossFilters,
+    selectedIds: listParam(params, "gvp"),
+    mapView: parseMapView(params),
+  };
+};
+
+// "?wards=12,14&gvp=..." or "" when everything is at its default. The map view is
+// left out with includeMapView false, to tell filter changes from map moves.
+export const buildUrlSearch = (state, { includeMapView = true } = {}) => {
+  const params = new URLSearchParams();
+  const { selectedWards, dateRange, qaFilter, interviewFilter, attributeFilter, crossFilters } = state;
+
+  if (selectedWards.length > 0) params.set("wards", selectedWards.join(","));
+  if (dateRange.from) params.set("from", dateRange.from);
+  if (dateRange.to) params.set("to", dateRange.to);
+  if (qaFilter !== "all") params.set("qa", qaFilter);
+  if (interviewFilter.mode !== "all") params.set("interview", interviewFilter.mode);
+  if (interviewFilter.thresholdMetres !== DEFAULT_INTERVIEW_DISTANCE_METRES) {
+    params.set("interviewMetres", String(interviewFilter.thresholdMetres));
+  }
+  if (attributeFilter.combine !== "and") params.set("combine", attributeFilter.combine);
+  dimensionKeys.forEach((key) =>
+    (attributeFilter.selections[key] || []).forEach((value) => params.append(key, value))
+  );
+  const matchAll = dimensionKeys.filter(
+    (key) => attributeFilter.matchAll[key] && (attributeFilter.selections[key] || []).length > 0
+  );
+  if (matchAll.length > 0) params.set("matchAll", matchAll.join(","));
+  crossFilters.forEach(({ key, value }) => params.append("chart", `${key}:${value}`));
+  if (state.selectedIds.length > 0) params.set("gvp", state.selectedIds.join(","));
+
+  const { lat, lng, zoom } = state.mapView;
+  const isDefaultView =
+    lat.toFixed(5) === DEFAULT_MAP_VIEW.lat.toFixed(5) &&
+    lng.toFixed(5) === DEFAULT_MAP_VIEW.lng.toFixed(5) &&
+    zoom === DEFAULT_MAP_VIEW.zoom;
+  if (includeMapView && !isDefaultView) {
+    params.set("map", `${lat.toFixed(5)},${lng.toFixed(5)},${zoom}`);
+  }
+
+  const query = params.toString().replace(/%2C/g, ",").replace(/%3A/g, ":");
+  return query ? `?${query}` : "";
+};
@@ -0,0 +1,42 @@
+import { buildUrlSearch, DEFAULT_MAP_VIEW, DEFAULT_URL_STATE, parseUrlState } from "./urlState";
+
+test("leaves default state out of the URL", () => {
+  expect(buildUrlSearch(DEFAULT_URL_STATE)).toBe("");
+  expect(parseUrlState("")).toEqual(DEFAULT_URL_STATE);
+});
+
+test("round-trips filters, the selected GVPs and the map view", () => {
+  const state = {
+    selectedWards: ["12", "14"],
+    dateRange: { from: "2024-01-05", to: null },
+    qaFilter: "exclude",
+    interviewFilter: { mode: "only", thresholdMetres: 150 },
+    attributeFilter: {
+      combine: "or",
+      selections: { wasteType: ["Plastic Paper", "Organic & Wet"], clearsOff: ["No"] },
+      matchAll: { wasteType: true },
+    },
+    crossFilters: [{ key: "problems", value: "Bad Odour" }],
+    selectedIds: ["b1e6-42", "c7d0-13"],
+    mapView: { lat: 21.14, lng: 79.1, zoom: 15 },
+  };
+  const search = buildUrlSearch(state);
+
+  expect(search).toContain("wards=12,14");
+  expect(search).toContain("chart=problems:Bad+Odour");
+  expect(search).toContain("gvp=b1e6-42,c7d0-13");
+  expect(search).toContain("map=21.14000,79.10000,15");
+  expect(parseUrlState(search)).toEqual(state);
+  expect(buildUrlSearch(state, { includeMapView: false })).not.toContain("map=");
+});
+
+test("falls back to defaults for malformed parameters", () => {
+  const state = parseUrlState("?qa=bogus&from=yesterday&interviewMetres=-5&chart=nope:x&map=1,2&matchAll=foo");
+
+  expect(state.qaFilter).toBe("all");
+  expect(state.dateRange.from).toBeNull();
+  expect(state.interviewFilter.thresholdMetres).toBe(200);
+  expect(state.crossFilters).toEqual([]);
+  expect(state.attributeFilter.matchAll).toEqual({});
+  expect(state.mapView).toEqual(DEFAULT_MAP_VIEW);
+});
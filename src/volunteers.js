@@ -0,0 +1,64 @@
+// Volunteer activity: submissions, coverage and interview durations per volunteer.
+
+import { surveyDate, toDayKey } from "./dates";
+
+const UNKNOWN_VOLUNTEER = "Unknown";
+
+export const volunteerName = (row) => row.volunteer || UNKNOWN_VOLUNTEER;
+
+// Minutes between the form's start and end; null when either is missing or out of order
+export const interviewDurationMinutes = (row) => {
+  if (!row.start || !row.end) return null;
+  const minutes = (row.end.getTime() - row.start.getTime()) / 60000;
+  return minutes >= 0 ? minutes : null;
+};
+
+// Whole hours and minutes, rounding the total first so 119.6 minutes reads as 2 hours, not 1 hour 60
+export const splitDuration = (minutes) => {
+  const total = Math.round(minutes);
+  return { hours: Math.floor(total / 60), minutes: total % 60 };
+};
+
+export const median = (values) => {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+};
+
+// One entry per volunteer, most submissions first
+export const calculateVolunteerStats = (data) => {
+  const byVolunteer = {};
+  data.forEach((row) => {
+    const name = volunteerName(row);
+    const stats =
+      byVolunteer[name] ||
+      (byVolunteer[name] = { name, submissions: 0, wards: new Set(), days: new Set(), durations: [] });
+
+    stats.submissions += 1;
+    if (row.ward !== null) stats.wards.add(row.ward);
+    const day = toDayKey(surveyDate(row));
+    if (day) stats.days.add(day);
+    const duration = interviewDurationMinutes(row);
+    if (duration !== null) stats.durations.push(duration);
+  });
+
+  return Object.values(byVolunteer)
+    .map(({ name, submissions, wards, days, durations }) => ({
+      name,
+      submissions,
+      wards: Array.from(wards).sort((a, b) => a - b),
+      activeDays: days.size,
+      medianDurationMinutes: median(durations),
+    }))
+    .sort((a, b) => b.submissions - a.submissions || a.name.localeCompare(b.name));
+};
+
+// Distinct, stable colors: volunteers sorted by name, hues spaced by the golden angle
+export const assignVolunteerColors = (data) => {
+  const names = Array.from(new Set(data.map(volunteerName))).sort((a, b) => a.localeCompare(b));
+  return names.reduce((acc, name, index) => {
+    acc[name] = `hsl(${Math.round((index * 137.508) % 360)}, 65%, 45%)`;
+    return acc;
+  }, {});
+};
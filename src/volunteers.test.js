@@ -0,0 +1,42 @@
+import { assignVolunteerColors, calculateVolunteerStats, median, splitDuration } from "./volunteers";
+
+const row = (volunteer, ward, start, minutes) => ({
+  volunteer,
+  ward,
+  start: new Date(start),
+  end: minutes === null ? null : new Date(new Date(start).getTime() + minutes * 60000),
+  submittedAt: null,
+});
+
+test("computes medians of odd and even length lists", () => {
+  expect(median([5, 1, 3])).toBe(3);
+  expect(median([4, 1, 3, 2])).toBe(2.5);
+  expect(median([])).toBeNull();
+});
+
+test("rounds durations before splitting them into hours and minutes", () => {
+  expect(splitDuration(119.6)).toEqual({ hours: 2, minutes: 0 });
+  expect(splitDuration(59.6)).toEqual({ hours: 1, minutes: 0 });
+  expect(splitDuration(75.2)).toEqual({ hours: 1, minutes: 15 });
+  expect(splitDuration(12.4)).toEqual({ hours: 0, minutes: 12 });
+});
+
+test("summarizes each volunteer's activity", () => {
+  const stats = calculateVolunteerStats([
+    row("Mohit", 12, "2025-07-16T10:00:00", 10),
+    row("Mohit", 13, "2025-07-16T11:00:00", 20),
+    row("Mohit", 12, "2025-07-17T10:00:00", 30),
+    row(null, 14, "2025-07-18T10:00:00", null),
+  ]);
+
+  expect(stats).toEqual([
+    { name: "Mohit", submissions: 3, wards: [12, 13], activeDays: 2, medianDurationMinutes: 20 },
+    { name: "Unknown", submissions: 1, wards: [14], activeDays: 1, medianDurationMinutes: null },
+  ]);
+});
+
+test("assigns each volunteer a distinct color", () => {
+  const colors = assignVolunteerColors([{ volunteer: "B" }, { volunteer: "A" }, { volunteer: "B" }]);
+  expect(Object.keys(colors)).toEqual(["A", "B"]);
+  expect(colors.A).not.toBe(colors.B);
+});
@@ -0,0 +1,99 @@
+// Ward boundary polygons (public/ward_boundaries.geojson, one feature per ward with a
+// numeric `ward` property) and the per-ward metrics used to shade them. No file is
+// bundled until the official NMC boundaries are available; the map then shows pins
+// only.
+
+import L from "leaflet";
+
+import { hasHazardousWaste } from "./heatmap";
+
+const WARD_BOUNDARIES_URL = "/ward_boundaries.geojson";
+
+export const WARD_METRICS = ["count", "volume", "hazardous", "notCleared"];
+
+// Metrics given as a share of the ward's GVPs, shown as percentages
+export const SHARE_METRICS = ["hazardous", "notCleared"];
+
+export const NO_WARD_BOUNDARIES = { wards: [], source: null };
+
+// The file's top-level "source" says where official boundaries were obtained; it is
+// only taken up together with "official": true
+const officialSource = (geojson) =>
+  geojson.official === true && typeof geojson.source === "string" && geojson.source.trim() !== ""
+    ? geojson.source.trim()
+    : null;
+
+// { wards: [{ ward, name, geometry }], source }; source is null unless the file is
+// marked as the official boundaries
+export const loadWardBoundaries = async ({ url = WARD_BOUNDARIES_URL, fetchImpl } = {}) => {
+  const res = await (fetchImpl || fetch)(url);
+  if (res.status === 404) return NO_WARD_BOUNDARIES;
+  if (!res.ok) throw new Error(`Could not load ${url} (${res.status})`);
+  const geojson = await res.json();
+  return {
+    wards: geojson.features
+      .filter((feature) => feature.properties && feature.properties.ward != null)
+      .map((feature) => ({
+        ward: String(feature.properties.ward),
+        name: feature.properties.name || `Ward ${feature.properties.ward}`,
+        geometry: feature.geometry,
+      })),
+    source: officialSource(geojson),
+  };
+};
+
+// GeoJSON [lng, lat] rings to the nested [lat, lng] arrays Leaflet polygons take
+export const toLatLngs = (geometry) =>
+  L.GeoJSON.coordsToLatLngs(geometry.coordinates, geometry.type === "MultiPolygon" ? 2 : 1);
+
+// { [ward]: { count, volume, hazardous, notCleared } }; the shares are 0..1, and
+// notCleared is null where nobody answered "Does Waste Clear Off"
+export const calculateWardMetrics = (data, volumeOf) => {
+  const wards = {};
+  data.forEach((row) => {
+    if (row.ward === null) return;
+    const ward = String(row.ward);
+    if (!wards[ward]) {
+      wards[ward] = { count: 0, volume: 0, hazardousCount: 0, answered: 0, notClearedCount: 0 };
+    }
+    const totals = wards[ward];
+    totals.count += 1;
+    totals.volume += volumeOf(row);
+    if (hasHazardousWaste(row)) totals.hazardousCount += 1;
+    if (row.clearsOff !== null) {
+      totals.answered += 1;
+      if (row.clearsOff === false) totals.notClearedCount += 1;
+    }
+  });
+
+  return Object.fromEntries(
+    Object.entries(wards).map(([ward, totals]) => [
+      ward,
+      {
+        count: totals.count,
+        volume: totals.volume,
+        hazardous: totals.hazardousCount / totals.count,
+        notCleared: totals.answered > 0 ? totals.notClearedCount / totals.answered : null,
+      },
+    ])
+  );
+};
+
+export const formatWardMetric = (metric, value, locale = "en-IN") => {
+  if (value === null || value === undefined) return "N/A";
+  if (SHARE_METRICS.includes(metric)) {
+    return new Intl.NumberFormat(locale, { style: "percent", maximumFractionDigits: 0 }).format(value);
+  }
+  return new Intl.NumberFormat(locale, { maximumFractionDigits: 0 }).format(value);
+};
+
+// Light yellow to dark red; grey for wards without a value
+export const CHOROPLETH_SHADES = ["#FEF3C7", "#FDE68A", "#FDBA74", "#F97316", "#DC2626", "#991B1B"];
+export const NO_DATA_COLOR = "#D1D5DB";
+
+export const choroplethColor = (value, max) => {
+  if (value === null || value === undefined) return NO_DATA_COLOR;
+  if (max <= 0) return CHOROPLETH_SHADES[0];
+  const shade = Math.floor((value / max) * CHOROPLETH_SHADES.length);
+  return CHOROPLETH_SHADES[Math.min(CHOROPLETH_SHADES.length - 1, shade)];
+};
@@ -0,0 +1,76 @@
+import {
+  calculateWardMetrics,
+  choroplethColor,
+  CHOROPLETH_SHADES,
+  formatWardMetric,
+  loadWardBoundaries,
+  NO_DATA_COLOR,
+  toLatLngs,
+} from "./wardBoundaries";
+
+const row = (ward, quantity, hazardous, clearsOff) => ({
+  ward,
+  quantity,
+  clearsOff,
+  wasteTypes: { "Sanitary and Hazardous Waste": hazardous },
+});
+
+test("loads ward features and converts their rings to lat/lng", async () => {
+  const geojson = {
+    type: "FeatureCollection",
+    features: [
+      {
+        type: "Feature",
+        properties: { ward: 12 },
+        geometry: { type: "Polygon", coordinates: [[[79.0, 21.1], [79.1, 21.1], [79.1, 21.2], [79.0, 21.1]]] },
+      },
+      { type: "Feature", properties: {}, geometry: null },
+    ],
+  };
+  const fetchImpl = jest.fn(() => Promise.resolve({ ok: true, json: () => Promise.resolve(geojson) }));
+  const { wards, source } = await loadWardBoundaries({ fetchImpl });
+
+  expect(wards.map((ward) => [ward.ward, ward.name])).toEqual([["12", "Ward 12"]]);
+  expect(source).toBeNull();
+  const [ring] = toLatLngs(wards[0].geometry);
+  expect([ring[0].lat, ring[0].lng]).toEqual([21.1, 79.0]);
+});
+
+test("loads no wards when no boundary file is deployed", async () => {
+  const fetchImpl = jest.fn(() => Promise.resolve({ ok: false, status: 404 }));
+  await expect(loadWardBoundaries({ fetchImpl })).resolves.toEqual({ wards: [], source: null });
+  fetchImpl.mockImplementation(() => Promise.resolve({ ok: false, status: 500 }));
+  await expect(loadWardBoundaries({ fetchImpl })).rejects.toThrow("(500)");
+});
+
+test("takes the source only from files marked as official", async () => {
+  const load = (geojson) =>
+    loadWardBoundaries({
+      fetchImpl: () => Promise.resolve({ ok: true, json: () => Promise.resolve(geojson) }),
+    });
+  const features = [];
+
+  expect((await load({ features, official: true, source: " NMC GIS cell, 2025 " })).source).toBe(
+    "NMC GIS cell, 2025"
+  );
+  expect((await load({ features, source: "NMC GIS cell, 2025" })).source).toBeNull();
+  expect((await load({ features, official: true, source: "" })).source).toBeNull();
+});
+
+test("calculates per-ward counts, volume and shares", () => {
+  const data = [row(12, 2, true, false), row(12, 1, false, null), row(13, 4, false, true), row(null, 9, true, false)];
+  const metrics = calculateWardMetrics(data, (r) => r.quantity);
+
+  expect(metrics["12"]).toEqual({ count: 2, volume: 3, hazardous: 0.5, notCleared: 1 });
+  expect(metrics["13"]).toEqual({ count: 1, volume: 4, hazardous: 0, notCleared: 0 });
+  expect(Object.keys(metrics)).toEqual(["12", "13"]);
+});
+
+test("formats and shades metric values", () => {
+  expect(formatWardMetric("hazardous", 0.456)).toBe("46%");
+  expect(formatWardMetric("volume", 12.4)).toBe("12");
+  expect(formatWardMetric("notCleared", null)).toBe("N/A");
+  expect(choroplethColor(null, 10)).toBe(NO_DATA_COLOR);
+  expect(choroplethColor(0, 10)).toBe(CHOROPLETH_SHADES[0]);
+  expect(choroplethColor(10, 10)).toBe(CHOROPLETH_SHADES[CHOROPLETH_SHADES.length - 1]);
+});
@@ -0,0 +1,120 @@
+// Checks each GVP's recorded location against the ward boundary of its declared
+// `GVP Ward` (picked by hand in Kobo) and keeps the corrections reviewers accept.
+// Only official boundaries are checked against (see wardBoundaries.js), and each
+// correction holds only while the boundary file it was made on is loaded.
+
+import { readLocal, writeLocal } from "./localStore";
+
+const CORRECTIONS_STORAGE_KEY = "gvp-dashboard.wardCorrections";
+const METRES_PER_DEGREE = (6371000 * Math.PI) / 180;
+
+// Polygon and MultiPolygon geometries as a list of polygons, each [outer, ...holes]
+const polygonsOf = (geometry) =>
+  geometry.type === "MultiPolygon" ? geometry.coordinates : [geometry.coordinates];
+
+const isInRing = ({ lat, lng }, ring) => {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i, i += 1) {
+    const [x1, y1] = ring[i];
+    const [x2, y2] = ring[j];
+    if ((y1 > lat) !== (y2 > lat) && lng < ((x2 - x1) * (lat - y1)) / (y2 - y1) + x1) {
+      inside = !inside;
+    }
+  }
+  return inside;
+};
+
+export const isInGeometry = (location, geometry) =>
+  polygonsOf(geometry).some(
+    ([outer, ...holes]) => isInRing(location, outer) && !holes.some((hole) => isInRing(location, hole))
+  );
+
+// Shortest distance in metres from the location to the geometry's edges, on a local
+// flat projection that is accurate enough at ward scale
+export const distanceToBoundaryMetres = (location, geometry) => {
+  const scaleX = METRES_PER_DEGREE * Math.cos((location.lat * Math.PI) / 180);
+  const toXY = ([lng, lat]) => [(lng - location.lng) * scaleX, (lat - location.lat) * METRES_PER_DEGREE];
+  let best = Infinity;
+  polygonsOf(geometry).forEach((rings) =>
+    rings.forEach((ring) => {
+      for (let i = 0; i < ring.length - 1; i += 1) {
+        const [ax, ay] = toXY(ring[i]);
+        const [bx, by] = toXY(ring[i + 1]);
+        const lengthSquared = (bx - ax) ** 2 + (by - ay) ** 2;
+        const t =
+          lengthSquared > 0 ? Math.max(0, Math.min(1, -(ax * (bx - ax) + ay * (by - ay)) / lengthSquared)) : 0;
+        best = Math.min(best, Math.hypot(ax + t * (bx - ax), ay + t * (by - ay)));
+      }
+    })
+  );
+  return best;
+};
+
+export const findContainingWard = (location, boundaries) => {
+  const match = boundaries.find(({ geometry }) => isInGeometry(location, geometry));
+  return match ? match.ward : null;
+};
+
+// Records whose location lies outside their declared ward:
+// [{ row, declaredWard, suggestedWard, distanceMetres }]. suggestedWard is the ward
+// the point falls in (null when in none); distanceMetres is measured from the
+// declared ward's boundary (null when that ward has no boundary to check against).
+export const findWardMismatches = (data, boundaries) => {
+  if (boundaries.length === 0) return [];
+  const byWard = new Map(boundaries.map((boundary) => [boundary.ward, boundary]));
+
+  return data
+    .filter((row) => row.location && row.ward !== null)
+    .map((row) => {
+      const declaredWard = String(row.ward);
+      const declared = byWard.get(declaredWard);
+      if (declared && isInGeometry(row.location, declared.geometry)) return null;
+
+      const suggestedWard = findContainingWard(row.location, boundaries);
+      if (!declared && suggestedWard === null) return null;
+      return {
+        row,
+        declaredWard,
+        suggestedWard,
+        distanceMetres: declared ? distanceToBoundaryMetres(row.location, declared.geometry) : null,
+      };
+    })
+    .filter(Boolean);
+};
+
+// Corrections: { source, wards: { [record id]: ward } }, source naming the official
+// boundaries they were made on
+export const EMPTY_WARD_CORRECTIONS = { source: null, wards: {} };
+
+export const loadWardCorrections = () => {
+  const stored = readLocal(CORRECTIONS_STORAGE_KEY, null);
+  return stored && typeof stored.source === "string" && stored.wards
+    ? stored
+    : EMPTY_WARD_CORRECTIONS;
+};
+
+export const saveWardCorrections = (corrections) => writeLocal(CORRECTIONS_STORAGE_KEY, corrections);
+
+// { [record id]: ward } of the corrections made on the boundaries from `source`
+export const activeWardCorrections = (corrections, source) =>
+  source !== null && corrections.source === source ? corrections.wards : {};
+
+// Corrections made on other boundaries are dropped
+export const acceptWardCorrection = (corrections, source, row, ward) => ({
+  source,
+  wards: { ...activeWardCorrections(corrections, source), [row.id]: ward },
+});
+
+export const undoWardCorrection = (corrections, row) => {
+  const { [row.id]: removed, ...wards } = corrections.wards;
+  return { ...corrections, wards };
+};
+
+// Records with accepted corrections get the corrected ward; `declaredWard` keeps the
+// volunteer's pick
+export const applyWardCorrections = (data, corrections) =>
+  data.map((row) =>
+    corrections[row.id] !== undefined
+      ? { ...row, ward: Number(corrections[row.id]), declaredWard: row.ward }
+      : row
+  );
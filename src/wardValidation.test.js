@@ -0,0 +1,95 @@
+import {
+  acceptWardCorrection,
+  activeWardCorrections,
+  applyWardCorrections,
+  distanceToBoundaryMetres,
+  EMPTY_WARD_CORRECTIONS,
+  findWardMismatches,
+  isInGeometry,
+  loadWardCorrections,
+  saveWardCorrections,
+  undoWardCorrection,
+} from "./wardValidation";
+
+// Two 0.01° squares side by side, ward 13 with a hole in the middle
+const square = (west, south, size = 0.01) => [
+  [west, south],
+  [west + size, south],
+  [west + size, south + size],
+  [west, south + size],
+  [west, south],
+];
+const boundaries = [
+  { ward: "12", geometry: { type: "Polygon", coordinates: [square(79.0, 21.1)] } },
+  {
+    ward: "13",
+    geometry: { type: "MultiPolygon", coordinates: [[square(79.01, 21.1), square(79.014, 21.104, 0.002)]] },
+  },
+];
+
+const row = (id, ward, lat, lng) => ({ id, ward, location: { lat, lng } });
+
+test("checks points against polygons with holes", () => {
+  expect(isInGeometry({ lat: 21.105, lng: 79.005 }, boundaries[0].geometry)).toBe(true);
+  expect(isInGeometry({ lat: 21.105, lng: 79.012 }, boundaries[1].geometry)).toBe(true);
+  expect(isInGeometry({ lat: 21.105, lng: 79.015 }, boundaries[1].geometry)).toBe(false);
+});
+
+test("measures the distance to the nearest edge", () => {
+  // 0.001° of longitude east of ward 12 at 21.1°N is about 104 m
+  expect(distanceToBoundaryMetres({ lat: 21.105, lng: 79.011 }, boundaries[0].geometry)).toBeCloseTo(103.8, 0);
+});
+
+test("reports records outside their declared ward", () => {
+  const data = [
+    row("ok", 12, 21.105, 79.005),
+    row("wrong", 12, 21.105, 79.011),
+    row("outside", 13, 21.2, 79.015),
+    row("unmapped", 16, 21.105, 79.005),
+    row("unmapped-outside", 16, 21.3, 79.0),
+    { id: "no-location", ward: 12, location: null },
+  ];
+  const mismatches = findWardMismatches(data, boundaries);
+
+  expect(mismatches.map((m) => [m.row.id, m.declaredWard, m.suggestedWard])).toEqual([
+    ["wrong", "12", "13"],
+    ["outside", "13", null],
+    ["unmapped", "16", "12"],
+  ]);
+  expect(mismatches[1].distanceMetres).toBeGreaterThan(10000);
+  expect(mismatches[2].distanceMetres).toBeNull();
+  expect(findWardMismatches(data, [])).toEqual([]);
+});
+
+test("overrides wards with accepted corrections", () => {
+  const data = [row("a", 12, 21.105, 79.011), row("b", 13, 21.105, 79.012)];
+  const corrected = applyWardCorrections(data, { a: "13" });
+
+  expect(corrected[0]).toMatchObject({ id: "a", ward: 13, declaredWard: 12 });
+  expect(corrected[1]).toBe(data[1]);
+});
+
+test("keeps corrections only for the boundaries they were made on", () => {
+  let corrections = acceptWardCorrection(EMPTY_WARD_CORRECTIONS, "NMC 2025", { id: "a" }, "13");
+  corrections = acceptWardCorrection(corrections, "NMC 2025", { id: "b" }, "12");
+  expect(activeWardCorrections(corrections, "NMC 2025")).toEqual({ a: "13", b: "12" });
+  expect(activeWardCorrections(corrections, "NMC 2026")).toEqual({});
+  expect(activeWardCorrections(corrections, null)).toEqual({});
+
+  corrections = undoWardCorrection(corrections, { id: "a" });
+  expect(activeWardCorrections(corrections, "NMC 2025")).toEqual({ b: "12" });
+  expect(acceptWardCorrection(corrections, "NMC 2026", { id: "c" }, "14")).toEqual({
+    source: "NMC 2026",
+    wards: { c: "14" },
+  });
+});
+
+test("ignores stored corrections without a boundary source", () => {
+  window.localStorage.clear();
+  window.localStorage.setItem("gvp-dashboard.wardCorrections", JSON.stringify({ a: "13" }));
+  expect(loadWardCorrections()).toBe(EMPTY_WARD_CORRECTIONS);
+
+  const corrections = { source: "NMC 2025", wards: { a: "13" } };
+  saveWardCorrections(corrections);
+  expect(loadWardCorrections()).toEqual(corrections);
+});